@@ -7,19 +7,43 @@ require("dotenv").config();
 
 // Import middleware
 const logger = require("./middleware/logger");
+const { logger: log, withLogContext, requestIdFor, closeLogger } = require("./utils/logger");
 const errorHandler = require("./middleware/errorHandler");
 const notFound = require("./middleware/notFound");
+const { authMiddleware, requireRole } = require("./middleware/auth");
+const { rateLimit } = require("./middleware/rateLimit");
+
+// Import background jobs
+const { startPurgeJob, stopPurgeJob } = require("./jobs/purgeTrash");
 
 // Import Swagger configuration
 const setupSwagger = require("./config/swagger");
 
-// Import models
-const Todo = require("./models/todos");
+// Import Socket.io handlers
+const { socketAuth } = require("./socket/auth");
+const registerCrudHandlers = require("./socket/crudHandlers");
+const registerSyncHandler = require("./socket/sync");
+const { registerSubscriptionHandlers, listenForRemoteChanges } = require("./socket/subscriptions");
+const registerPresenceHandlers = require("./socket/documentPresence");
+const socketResources = require("./socket/resources");
+const setupAdapter = require("./socket/adapter");
+const { createPresence } = require("./socket/presence");
+const { startChangeStreams } = require("./socket/changeStream");
+const { eventSource } = require("./config/socket");
+const { metricsHandler, trackSocket, trackMongoPool } = require("./utils/metrics");
+const { markShuttingDown } = require("./utils/health");
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust X-Forwarded-For so rate limits see the real client IP
+// (TRUST_PROXY=true, a hop count such as 1, or a comma separated list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : Number(trustProxy) || trustProxy);
+}
+
 // ============================================
 // MIDDLEWARE CONFIGURATION
 // ============================================
@@ -28,8 +52,9 @@ const PORT = process.env.PORT || 3000;
  * @swagger
  * /:
  *   get:
- *     summary: Health check endpoint
- *     description: Returns API status and basic information
+ *     summary: API information
+ *     description: Returns API status and basic information. Use `/health/live` and `/health/ready` for probes.
+ *     security: []
  *     responses:
  *       200:
  *         description: API is running successfully
@@ -49,55 +74,111 @@ const PORT = process.env.PORT || 3000;
  *                   example: 2.0.0
  */
 
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       HTTP request counts and latency by route and status, connected sockets and received
+ *       Socket.io events, Mongoose operation timings and MongoDB connection pool state, in the
+ *       Prometheus text format. When METRICS_TOKEN is set it must be sent as a Bearer token.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus exposition format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or wrong METRICS_TOKEN
+ */
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || "*",
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization", "x-api-key"],
+  allowedHeaders: ["Content-Type", "Authorization", "If-Match", "If-None-Match", "X-Request-Id"],
+  exposedHeaders: ["ETag", "X-Request-Id", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"],
   credentials: true
 };
 
+// Request IDs and structured request logging (first, so every later log line is correlated)
+app.use(logger);
+
 app.use(cors(corsOptions));
 
 // Body parser middleware (built into Express 4.16+)
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Custom logger middleware
-app.use(logger);
-
 // ============================================
 // SWAGGER DOCUMENTATION
 // ============================================
 setupSwagger(app);
 
+// Prometheus metrics and health probes (before rate limiting so scrapers and probes are never throttled)
+const healthRoutes = require("./routes/health");
+app.get("/metrics", metricsHandler);
+app.use("/health", healthRoutes);
+
+// ============================================
+// RATE LIMITING
+// ============================================
+
+// Per user (or IP without a valid token), configured with RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS
+app.use(rateLimit);
+
 // ============================================
 // API ROUTES
 // ============================================
 
-// Health check route
+// API information route (see /health for probes)
 app.get("/", (req, res) => {
   res.json({
     success: true,
     message: "API is running",
     version: "2.0.0",
     endpoints: {
+      auth: "/auth",
       users: "/users",
       todos: "/todos",
       assignments: "/assignments",
+      search: "/search",
+      trash: "/trash",
+      audit: "/audit",
+      avatars: "/avatars",
+      metrics: "/metrics",
+      health: "/health/live, /health/ready",
       documentation: "/swagger"
     }
   });
 });
 
 // Import and use route modules
+const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const todoRoutes = require("./routes/todos");
 const assignmentRoutes = require("./routes/assignments");
+const searchRoutes = require("./routes/search");
+const trashRoutes = require("./routes/trash");
+const auditRoutes = require("./routes/audit");
+const avatarRoutes = require("./routes/avatars");
+
+// Public authentication routes
+app.use("/auth", authRoutes);
 
-app.use("/users", userRoutes);
-app.use("/todos", todoRoutes);
-app.use("/assignments", assignmentRoutes);
+// Public avatar thumbnails, so they can be used in <img> tags
+app.use("/avatars", avatarRoutes);
+
+// Protected resource routes (require a valid JWT access token)
+app.use("/users", authMiddleware, userRoutes);
+app.use("/todos", authMiddleware, todoRoutes);
+app.use("/assignments", authMiddleware, assignmentRoutes);
+app.use("/search", authMiddleware, searchRoutes);
+app.use("/trash", authMiddleware, trashRoutes);
+app.use("/audit", authMiddleware, requireRole("admin"), auditRoutes);
 
 // ============================================
 // ERROR HANDLING MIDDLEWARE
@@ -113,14 +194,32 @@ app.use(errorHandler);
 // DATABASE CONNECTION
 // ============================================
 
+// Handle for the trash purge job interval
+let purgeTimer = null;
+
+// Change-stream watchers (SOCKET_EVENT_SOURCE=changestream only)
+let changeStreams = null;
+
 const connectDB = async () => {
   try {
-    await mongoose.connect(process.env.DB_CONNECTION || "mongodb://localhost:27017/crud-api", {
+    const connecting = mongoose.connect(process.env.DB_CONNECTION || "mongodb://localhost:27017/crud-api", {
       // Remove deprecated options - these are now defaults in Mongoose 6+
     });
-    console.log("✓ MongoDB connected successfully");
+
+    // Follow the driver's connection pool for /metrics (the client exists once connect starts)
+    trackMongoPool(mongoose.connection.getClient());
+    await connecting;
+    log.info("MongoDB connected");
+
+    // Permanently remove trashed documents after the retention period
+    purgeTimer = startPurgeJob();
+
+    // Announce every write to the watched collections, whoever made it
+    if (eventSource === "changestream") {
+      changeStreams = startChangeStreams(io);
+    }
   } catch (error) {
-    console.error("✗ MongoDB connection error:", error.message);
+    log.error("MongoDB connection error", { err: error });
     process.exit(1);
   }
 };
@@ -130,11 +229,11 @@ connectDB();
 
 // Handle MongoDB connection events
 mongoose.connection.on("disconnected", () => {
-  console.log("MongoDB disconnected");
+  log.warn("MongoDB disconnected");
 });
 
 mongoose.connection.on("error", (err) => {
-  console.error("MongoDB error:", err);
+  log.error("MongoDB error", { err });
 });
 
 // ============================================
@@ -154,136 +253,58 @@ const io = new Server(server, {
 // Make Socket.io instance available to routes
 app.set('io', io);
 
-// Socket.io connection tracking
-let connectedUsers = {};
+// Reject sockets without a valid access token and join them to their user room
+io.use(socketAuth);
+
+// Cluster-wide connected user count, sent to clients as `count`
+const presence = createPresence(io);
+
+// Changes announced on other instances update this instance's live queries
+listenForRemoteChanges(io);
+
+// Cross-instance adapter (memory, redis or mongo), installed before the server listens
+let socketAdapter = null;
 
 // ============================================
 // SOCKET.IO EVENT HANDLERS
 // ============================================
 
 io.on("connection", (socket) => {
-  const address = socket.handshake.address;
-  
-  // Track connected users by address
-  if (!connectedUsers[address]) {
-    connectedUsers[address] = [];
-  }
-  connectedUsers[address].push(socket.id);
-  
-  const userCount = Object.keys(connectedUsers).length;
-  
-  console.log(`✓ User connected: ${socket.id} | Total users: ${userCount}`);
+  // Correlation ID for everything logged on this connection
+  socket.data.requestId = requestIdFor(socket.handshake.headers["x-request-id"]);
+
+  // Connected socket gauge and per-event counters for /metrics
+  trackSocket(socket);
   
-  // Send current user count to the connected client
-  socket.emit("count", { count: userCount });
+  withLogContext({ requestId: socket.data.requestId, socketId: socket.id }, () => {
+    log.info("Socket connected", { userId: socket.data.user.id });
+  });
   
-  // Broadcast user count to all other clients
-  socket.broadcast.emit("count", { count: userCount });
+  // Send the updated user count to every client in the cluster
+  presence.changed();
 
-  /**
-   * Handle 'all' event - Get all todos
-   */
-  socket.on("all", async () => {
-    try {
-      const todos = await Todo.find({}).sort({ createdAt: -1 });
-      socket.emit("all", todos);
-    } catch (err) {
-      console.error("Error fetching todos:", err);
-      socket.emit("error", { message: "Failed to fetch todos" });
-    }
-  });
+  // Register all/add/update/delete handlers for todos, users and assignments
+  socketResources.forEach((resource) => registerCrudHandlers(socket, io, resource));
 
-  /**
-   * Handle 'add' event - Create new todo
-   */
-  socket.on("add", async (data) => {
-    try {
-      const todo = new Todo({
-        title: data.title,
-        description: data.description,
-        complete: false,
-        priority: data.priority || 'medium'
-      });
-
-      const savedTodo = await todo.save();
-      
-      // Send to the creator
-      socket.emit("added", savedTodo);
-      
-      // Broadcast to all other clients
-      socket.broadcast.emit("added", savedTodo);
-      
-      console.log(`✓ Todo created: ${savedTodo.title}`);
-    } catch (err) {
-      console.error("Error creating todo:", err);
-      socket.emit("error", { message: "Failed to create todo" });
-    }
-  });
+  // Replay missed change events (or send a snapshot) after a reconnect
+  registerSyncHandler(socket);
 
-  /**
-   * Handle 'update' event - Update todo
-   */
-  socket.on("update", async (data) => {
-    try {
-      const updatedTodo = await Todo.findByIdAndUpdate(
-        data.id,
-        { $set: data.updates },
-        { new: true, runValidators: true }
-      );
-      
-      if (updatedTodo) {
-        socket.emit("updated", updatedTodo);
-        socket.broadcast.emit("updated", updatedTodo);
-        console.log(`✓ Todo updated: ${updatedTodo.title}`);
-      } else {
-        socket.emit("error", { message: "Todo not found" });
-      }
-    } catch (err) {
-      console.error("Error updating todo:", err);
-      socket.emit("error", { message: "Failed to update todo" });
-    }
-  });
+  // Live queries: a filtered snapshot, then only changes to its result set
+  registerSubscriptionHandlers(socket);
 
-  /**
-   * Handle 'delete' event - Delete todo
-   */
-  socket.on("delete", async (data) => {
-    try {
-      const deletedTodo = await Todo.findByIdAndDelete(data.id);
-      
-      if (deletedTodo) {
-        socket.emit("deleted", { id: data.id });
-        socket.broadcast.emit("deleted", { id: data.id });
-        console.log(`✓ Todo deleted: ${deletedTodo.title}`);
-      } else {
-        socket.emit("error", { message: "Todo not found" });
-      }
-    } catch (err) {
-      console.error("Error deleting todo:", err);
-      socket.emit("error", { message: "Failed to delete todo" });
-    }
-  });
+  // Who is viewing and editing each todo and assignment
+  registerPresenceHandlers(socket, io);
 
   /**
    * Handle disconnect event
    */
   socket.on("disconnect", () => {
-    // Remove socket from tracking
-    if (connectedUsers[address]) {
-      connectedUsers[address] = connectedUsers[address].filter(id => id !== socket.id);
-      
-      // Remove address if no more sockets
-      if (connectedUsers[address].length === 0) {
-        delete connectedUsers[address];
-      }
-    }
-    
-    const userCount = Object.keys(connectedUsers).length;
-    
-    console.log(`✗ User disconnected: ${socket.id} | Total users: ${userCount}`);
+    withLogContext({ requestId: socket.data.requestId, socketId: socket.id }, () => {
+      log.info("Socket disconnected", { userId: socket.data.user.id });
+    });
     
     // Broadcast updated user count
-    io.emit("count", { count: userCount });
+    presence.changed();
   });
 });
 
@@ -291,33 +312,60 @@ io.on("connection", (socket) => {
 // START SERVER
 // ============================================
 
-server.listen(PORT, () => {
-  console.log("================================================");
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/swagger`);
-  console.log(`🔌 Socket.io enabled for real-time features`);
-  console.log("================================================");
-});
+const startServer = async () => {
+  try {
+    socketAdapter = await setupAdapter(io);
+  } catch (error) {
+    log.error("Socket.io adapter setup failed", { err: error });
+    process.exit(1);
+  }
+
+  server.listen(PORT, () => {
+    log.info("Server running", {
+      port: Number(PORT),
+      documentation: `http://localhost:${PORT}/swagger`,
+      socketIo: true,
+      socketAdapter: socketAdapter.name,
+      eventSource
+    });
+  });
+};
+
+startServer();
 
 // ============================================
 // GRACEFUL SHUTDOWN
 // ============================================
 
 const gracefulShutdown = async () => {
-  console.log("\n⚠ Shutting down gracefully...");
+  log.warn("Shutting down gracefully");
+
+  // Fail readiness right away so no new traffic is routed here
+  markShuttingDown();
   
+  // Stop background jobs
+  stopPurgeJob(purgeTimer);
+  presence.stop();
+
   // Close HTTP server
   server.close(() => {
-    console.log("✓ HTTP server closed");
+    log.info("HTTP server closed");
   });
   
-  // Close database connection
+  // Stop the change streams (saving their resume tokens), close the adapter, then the database
   try {
+    if (changeStreams) {
+      await changeStreams.stop();
+    }
+    if (socketAdapter) {
+      await socketAdapter.close();
+    }
     await mongoose.connection.close();
-    console.log("✓ Database connection closed");
+    log.info("Database connection closed");
+    await closeLogger();
     process.exit(0);
   } catch (err) {
-    console.error("✗ Error during shutdown:", err);
+    log.error("Error during shutdown", { err });
     process.exit(1);
   }
 };
@@ -328,13 +376,13 @@ process.on("SIGINT", gracefulShutdown);
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
-  console.error("Uncaught Exception:", err);
+  log.error("Uncaught exception", { err });
   gracefulShutdown();
 });
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
-  console.error("Unhandled Rejection:", err);
+  log.error("Unhandled rejection", { err });
   gracefulShutdown();
 });
 
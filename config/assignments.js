@@ -0,0 +1,18 @@
+/**
+ * Assignment Workflow Configuration
+ * How submissions after the due date are handled:
+ *
+ *   flag   - Accepted and marked `late: true` (default)
+ *   reject - Refused with 409 Conflict
+ */
+
+const LATE_POLICIES = ["flag", "reject"];
+
+const latePolicy = (process.env.ASSIGNMENT_LATE_POLICY || "flag").toLowerCase();
+
+module.exports = {
+  LATE_POLICIES,
+  latePolicy: LATE_POLICIES.includes(latePolicy) ? latePolicy : "flag",
+  // Submissions this long after the due date still count as on time
+  lateGraceMs: (Number(process.env.ASSIGNMENT_LATE_GRACE_MINUTES) || 0) * 60 * 1000
+};
@@ -0,0 +1,24 @@
+/**
+ * Avatar Configuration
+ * What may be uploaded as a profile picture and which thumbnails are generated from it
+ */
+
+// Thumbnail name -> edge length in pixels (square WebP images)
+const THUMBNAIL_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  // Browsers' usual image types; the decoded image must be one of them as well
+  allowedMimeTypes: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+  maxBytes: (Number(process.env.AVATAR_MAX_MB) || 5) * 1024 * 1024,
+  // Smallest and largest accepted width and height of the uploaded image
+  minDimension: Number(process.env.AVATAR_MIN_DIMENSION) || 128,
+  maxDimension: Number(process.env.AVATAR_MAX_DIMENSION) || 4096,
+  // Prefix of the avatar URLs stored in `picture` (e.g. a CDN or https://api.example.com);
+  // relative to the API when empty
+  baseUrl: (process.env.AVATAR_BASE_URL || "").replace(/\/+$/, "")
+};
@@ -0,0 +1,17 @@
+/**
+ * Health Check Configuration
+ * Thresholds used by `GET /health/live` and `GET /health/ready`
+ */
+
+module.exports = {
+  // Give up on the MongoDB ping after this long
+  dbPingTimeoutMs: Number(process.env.HEALTH_DB_PING_TIMEOUT_MS) || 2000,
+  // p99 event-loop delay above this fails the check
+  maxEventLoopLagMs: Number(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS) || 500,
+  // Fail when the V8 heap uses more than this share of its limit
+  maxHeapRatio: Number(process.env.HEALTH_MAX_HEAP_RATIO) || 0.9,
+  // Optional resident set size limit in MB (0 = no limit)
+  maxRssMb: Number(process.env.HEALTH_MAX_RSS_MB) || 0,
+  // Event-loop delay is measured over rolling windows of this length
+  lagWindowMs: 10 * 1000
+};
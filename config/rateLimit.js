@@ -0,0 +1,12 @@
+/**
+ * Rate Limit Configuration
+ * REST requests are limited per user (JWT) or IP address;
+ * socket write and document presence events per user
+ */
+
+module.exports = {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  maxRequests: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  socketWindowMs: Number(process.env.SOCKET_RATE_LIMIT_WINDOW_MS) || 10 * 1000,
+  socketMaxEvents: Number(process.env.SOCKET_RATE_LIMIT_MAX_EVENTS) || 20
+};
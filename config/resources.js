@@ -0,0 +1,75 @@
+/**
+ * Resource Query Configuration
+ * Whitelists the fields each list endpoint can sort on, project and filter by,
+ * the text-indexed fields used for `q=` search highlights, and the fields
+ * bulk operations may write.
+ * Filterable fields map to a type that decides which operators are allowed
+ * (see utils/filterQuery.js).
+ */
+
+module.exports = {
+  todos: {
+    defaultSort: "-createdAt",
+    searchable: ["title", "description"],
+    sortable: ["title", "complete", "dueDate", "createdAt", "updatedAt"],
+    selectable: [
+      "title", "description", "complete", "priority", "dueDate",
+      "owner", "assignee", "attachments", "createdAt", "updatedAt"
+    ],
+    writable: ["title", "description", "complete", "priority", "dueDate", "assignee"],
+    filterable: {
+      title: { type: "string" },
+      complete: { type: "boolean" },
+      priority: { type: "enum", values: ["low", "medium", "high"] },
+      dueDate: { type: "date" },
+      owner: { type: "objectId" },
+      assignee: { type: "objectId" },
+      createdAt: { type: "date" },
+      updatedAt: { type: "date" }
+    }
+  },
+  assignments: {
+    defaultSort: "dueDate",
+    searchable: ["title", "content"],
+    sortable: ["title", "status", "dueDate", "submittedDate", "grade", "createdAt", "updatedAt"],
+    selectable: [
+      "title", "content", "status", "dueDate", "submittedDate", "late", "grade",
+      "gradedAt", "gradedBy", "owner", "assignee", "attachments", "createdAt", "updatedAt"
+    ],
+    // status, submittedDate and grade change through the workflow actions (utils/assignmentWorkflow.js)
+    writable: ["title", "content", "dueDate", "assignee"],
+    filterable: {
+      title: { type: "string" },
+      status: { type: "enum", values: ["pending", "in-progress", "completed", "cancelled"] },
+      dueDate: { type: "date" },
+      submittedDate: { type: "date" },
+      late: { type: "boolean" },
+      grade: { type: "number" },
+      owner: { type: "objectId" },
+      assignee: { type: "objectId" },
+      createdAt: { type: "date" },
+      updatedAt: { type: "date" }
+    }
+  },
+  users: {
+    defaultSort: "-createdAt",
+    searchable: ["first_name", "last_name", "email"],
+    sortable: ["first_name", "last_name", "email", "role", "createdAt", "updatedAt"],
+    selectable: ["first_name", "last_name", "picture", "avatar", "email", "role", "createdAt", "updatedAt"],
+    writable: ["first_name", "last_name", "picture", "email"]
+  },
+  audits: {
+    defaultSort: "-createdAt",
+    sortable: ["createdAt", "resource", "action"],
+    selectable: ["resource", "documentId", "action", "actor", "source", "changes", "createdAt"],
+    filterable: {
+      resource: { type: "enum", values: ["todo", "assignment", "user"] },
+      documentId: { type: "objectId" },
+      action: { type: "enum", values: ["create", "update", "delete", "restore", "purge"] },
+      actor: { type: "objectId" },
+      source: { type: "enum", values: ["rest", "socket", "system"] },
+      "changes.field": { type: "string" },
+      createdAt: { type: "date" }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Socket.io Cluster Configuration
+ * Which adapter relays events between instances and how presence is counted
+ *
+ *   memory - Built-in in-process adapter (single instance, development and tests)
+ *   redis  - Redis pub/sub via @socket.io/redis-adapter
+ *   mongo  - MongoDB change streams via @socket.io/mongo-adapter (needs a replica set)
+ *
+ * Change events (`added`, `updated`, ...) come from one of two sources:
+ *
+ *   app          - Emitted by the REST routes and socket handlers after their own writes
+ *   changestream - Emitted by a MongoDB change-stream watcher, so writes made by scripts,
+ *                  other services or the shell reach clients too (needs a replica set)
+ */
+
+const ADAPTERS = ["memory", "redis", "mongo"];
+
+module.exports = {
+  ADAPTERS,
+  adapter: (process.env.SOCKET_ADAPTER || "memory").toLowerCase(),
+  redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+  mongoCollection: process.env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events",
+  eventSource: (process.env.SOCKET_EVENT_SOURCE || "app").toLowerCase() === "changestream" ? "changestream" : "app",
+  // Change events kept for `sync` replay (capped collection, oldest dropped first)
+  eventLogSize: Number(process.env.SOCKET_EVENT_LOG_SIZE) || 10000,
+  // Clients missing more events than this get a full snapshot instead
+  maxReplayEvents: Number(process.env.SOCKET_MAX_REPLAY_EVENTS) || 500,
+  // Live queries (`<resource>:subscribe`) one connection may hold at a time
+  maxSubscriptions: Number(process.env.SOCKET_MAX_SUBSCRIPTIONS) || 20,
+  // Editing locks expire unless the editor sends `lock` again within this time
+  lockTtlMs: Number(process.env.SOCKET_LOCK_TTL_MS) || 30 * 1000,
+  // Presence changes within this window are sent as one `count` event
+  presenceDebounceMs: 250,
+  // Recount regularly so sockets of a crashed instance drop out of the count
+  presenceRefreshMs: Number(process.env.SOCKET_PRESENCE_REFRESH_MS) || 30 * 1000
+};
@@ -0,0 +1,39 @@
+/**
+ * File Storage Configuration
+ * Where uploaded attachments are kept and what may be uploaded
+ *
+ *   local - Files on disk under STORAGE_LOCAL_DIR (default)
+ *
+ * Other backends (e.g. S3-compatible object storage) plug in as drivers in utils/storage.js.
+ */
+
+const path = require("path");
+
+// Sent as attachments with `nosniff`, so browsers never render them inline
+const DEFAULT_MIME_TYPES = [
+  "application/pdf",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp"
+];
+
+const list = (value) => value.split(",").map((item) => item.trim().toLowerCase()).filter(Boolean);
+
+module.exports = {
+  driver: (process.env.STORAGE_DRIVER || "local").toLowerCase(),
+  localDir: path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads"),
+  maxAttachmentBytes: (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024,
+  allowedMimeTypes: process.env.ATTACHMENT_MIME_TYPES ? list(process.env.ATTACHMENT_MIME_TYPES) : DEFAULT_MIME_TYPES,
+  maxAttachments: Number(process.env.ATTACHMENT_MAX_PER_DOCUMENT) || 20
+};
@@ -28,6 +28,10 @@ const options = {
       }
     ],
     tags: [
+      {
+        name: 'Auth',
+        description: 'Registration, login and token management'
+      },
       {
         name: 'Users',
         description: 'User management endpoints'
@@ -39,13 +43,86 @@ const options = {
       {
         name: 'Assignments',
         description: 'Assignment tracking endpoints'
+      },
+      {
+        name: 'Search',
+        description: 'Full-text search across resources'
+      },
+      {
+        name: 'Trash',
+        description: 'Soft-deleted items awaiting restore or purge'
+      },
+      {
+        name: 'Audit',
+        description: 'Change history for every document mutation'
+      },
+      {
+        name: 'Health',
+        description: 'Liveness and readiness probes'
+      }
+    ],
+    security: [
+      {
+        bearerAuth: []
       }
     ],
     components: {
+      parameters: {
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Page number (ignored when `after` is set)'
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Items per page'
+        },
+        After: {
+          in: 'query',
+          name: 'after',
+          schema: { type: 'string' },
+          description: 'Cursor from a previous `nextCursor` for cursor-based pagination'
+        },
+        Sort: {
+          in: 'query',
+          name: 'sort',
+          schema: { type: 'string', example: 'complete,-dueDate' },
+          description: 'Comma separated sort fields, prefix with `-` for descending'
+        },
+        Search: {
+          in: 'query',
+          name: 'q',
+          schema: { type: 'string' },
+          description: 'Full-text search; results gain `score` and `highlights` and are ranked by relevance unless `sort` is set'
+        },
+        Fields: {
+          in: 'query',
+          name: 'fields',
+          schema: { type: 'string', example: 'title,complete' },
+          description: 'Comma separated fields to return'
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string', example: '"3"' },
+          description: 'ETag from a previous GET; the update only applies if the document is still at that version'
+        }
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token returned by /auth/login or /auth/register'
+        }
+      },
       schemas: {
         User: {
           type: 'object',
-          required: ['first_name', 'last_name', 'picture'],
+          required: ['first_name', 'last_name'],
           properties: {
             _id: {
               type: 'string',
@@ -65,13 +142,51 @@ const options = {
             },
             picture: {
               type: 'string',
-              description: 'URL to user profile picture'
+              description: 'https URL of the profile picture, or the large avatar thumbnail after an upload'
+            },
+            avatar: {
+              type: 'object',
+              nullable: true,
+              description: 'Thumbnails of the last avatar uploaded with POST /users/{userId}/avatar',
+              properties: {
+                id: {
+                  type: 'string'
+                },
+                thumbnails: {
+                  type: 'object',
+                  properties: {
+                    small: {
+                      type: 'string',
+                      example: '/avatars/507f1f77bcf86cd799439011/65b2f0c1e4b0a1a2b3c4d5e6/small.webp',
+                      description: '64x64 WebP'
+                    },
+                    medium: {
+                      type: 'string',
+                      description: '128x128 WebP'
+                    },
+                    large: {
+                      type: 'string',
+                      description: '256x256 WebP'
+                    }
+                  }
+                },
+                uploadedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
             },
             email: {
               type: 'string',
               format: 'email',
               description: 'User email address'
             },
+            role: {
+              type: 'string',
+              enum: ['user', 'grader', 'admin'],
+              default: 'user',
+              description: 'User role used for authorization'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -81,6 +196,12 @@ const options = {
               type: 'string',
               format: 'date-time',
               description: 'Last update timestamp'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the item was moved to the trash (null while live)'
             }
           }
         },
@@ -119,6 +240,22 @@ const options = {
               format: 'date-time',
               description: 'Due date for the todo'
             },
+            owner: {
+              type: 'string',
+              description: 'MongoDB ObjectId of the user who created it (populated with ?populate=owner)'
+            },
+            assignee: {
+              type: 'string',
+              nullable: true,
+              description: 'MongoDB ObjectId of the assigned user (populated with ?populate=assignee)'
+            },
+            attachments: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Attachment'
+              },
+              description: 'Uploaded files (see POST /todos/{id}/attachments)'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -128,6 +265,12 @@ const options = {
               type: 'string',
               format: 'date-time',
               description: 'Last update timestamp'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the item was moved to the trash (null while live)'
             }
           }
         },
@@ -166,12 +309,41 @@ const options = {
               format: 'date-time',
               description: 'Submission date'
             },
+            late: {
+              type: 'boolean',
+              description: 'Submitted after the due date'
+            },
             grade: {
               type: 'number',
               minimum: 0,
               maximum: 100,
               description: 'Assignment grade (0-100)'
             },
+            gradedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the grade was given'
+            },
+            gradedBy: {
+              type: 'string',
+              description: 'MongoDB ObjectId of the grader'
+            },
+            owner: {
+              type: 'string',
+              description: 'MongoDB ObjectId of the user who created it (populated with ?populate=owner)'
+            },
+            assignee: {
+              type: 'string',
+              nullable: true,
+              description: 'MongoDB ObjectId of the assigned user (populated with ?populate=assignee)'
+            },
+            attachments: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Attachment'
+              },
+              description: 'Uploaded files (see POST /assignments/{id}/attachments)'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -181,6 +353,236 @@ const options = {
               type: 'string',
               format: 'date-time',
               description: 'Last update timestamp'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the item was moved to the trash (null while live)'
+            }
+          }
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Attachment ID, used in the download and delete URLs'
+            },
+            filename: {
+              type: 'string',
+              example: 'report.pdf',
+              description: 'Original filename'
+            },
+            contentType: {
+              type: 'string',
+              example: 'application/pdf',
+              description: 'MIME type'
+            },
+            size: {
+              type: 'integer',
+              description: 'Size in bytes'
+            },
+            uploadedBy: {
+              type: 'string',
+              description: 'MongoDB ObjectId of the uploading user'
+            },
+            uploadedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Upload timestamp'
+            }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            resource: {
+              type: 'string',
+              enum: ['todo', 'assignment', 'user'],
+              description: 'Type of the changed document'
+            },
+            documentId: {
+              type: 'string',
+              description: 'MongoDB ObjectId of the changed document'
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'delete', 'restore', 'purge']
+            },
+            actor: {
+              type: 'string',
+              nullable: true,
+              description: 'MongoDB ObjectId of the user who made the change (null for system jobs, populated with ?populate=actor)'
+            },
+            source: {
+              type: 'string',
+              enum: ['rest', 'socket', 'system'],
+              description: 'Where the change came from'
+            },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'grade'
+                  },
+                  from: {
+                    description: 'Previous value (absent on create)'
+                  },
+                  to: {
+                    description: 'New value (absent on purge)'
+                  }
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the change happened'
+            }
+          }
+        },
+        BulkResult: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              description: 'True when every operation succeeded'
+            },
+            message: {
+              type: 'string'
+            },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                inserted: { type: 'integer' },
+                updated: { type: 'integer' },
+                deleted: { type: 'integer' },
+                failed: { type: 'integer' }
+              }
+            },
+            data: {
+              type: 'array',
+              description: 'One result per operation, in request order',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  op: { type: 'string', enum: ['insert', 'update', 'delete'] },
+                  id: { type: 'string', nullable: true },
+                  success: { type: 'boolean' },
+                  status: {
+                    type: 'integer',
+                    description: '201 inserted, 200 updated/deleted, 400 invalid, 404 not found, 409 duplicate, 412 stale version, 424 rolled back'
+                  },
+                  data: {
+                    type: 'object',
+                    description: 'The stored document (`{ id }` for deletes)'
+                  },
+                  error: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    description: 'Field errors of an operation whose data failed validation',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string' },
+                        message: { type: 'string' },
+                        value: {}
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ImportReport: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              description: 'True when every row is valid'
+            },
+            message: {
+              type: 'string'
+            },
+            dryRun: {
+              type: 'boolean'
+            },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                valid: { type: 'integer' },
+                invalid: { type: 'integer' },
+                imported: { type: 'integer' }
+              }
+            },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: {
+                    type: 'integer',
+                    description: '1-based data row (the CSV header is not counted)'
+                  },
+                  success: { type: 'boolean' },
+                  id: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'ID of the created document (null on dry runs)'
+                  },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string', nullable: true },
+                        message: { type: 'string' },
+                        value: {}
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        AuthTokens: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                user: {
+                  $ref: '#/components/schemas/User'
+                },
+                accessToken: {
+                  type: 'string',
+                  description: 'Short-lived JWT sent as a Bearer token'
+                },
+                refreshToken: {
+                  type: 'string',
+                  description: 'Long-lived JWT used with /auth/refresh'
+                }
+              }
             }
           }
         },
@@ -233,6 +635,12 @@ const options = {
           }
         }
       },
+      headers: {
+        ETag: {
+          schema: { type: 'string', example: '"3"' },
+          description: 'Current document version, send it back in `If-Match` to update safely'
+        }
+      },
       responses: {
         BadRequest: {
           description: 'Bad request - Validation error',
@@ -244,6 +652,16 @@ const options = {
             }
           }
         },
+        Unauthorized: {
+          description: 'Missing, invalid or expired access token',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
         NotFound: {
           description: 'Resource not found',
           content: {
@@ -254,6 +672,21 @@ const options = {
             }
           }
         },
+        PreconditionFailed: {
+          description: 'The document was modified since the given ETag; the body holds the current version',
+          headers: {
+            ETag: {
+              $ref: '#/components/headers/ETag'
+            }
+          },
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
         ServerError: {
           description: 'Internal server error',
           content: {
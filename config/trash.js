@@ -0,0 +1,14 @@
+/**
+ * Trash Configuration
+ * How long soft-deleted documents are kept and how often the purge job runs
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+module.exports = {
+  retentionDays,
+  retentionMs: retentionDays * DAY_MS,
+  purgeIntervalMs: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000
+};
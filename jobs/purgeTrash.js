@@ -0,0 +1,81 @@
+/**
+ * Trash Purge Job
+ * Permanently removes soft-deleted documents once the retention period has passed
+ */
+
+const Todo = require("../models/todos");
+const Assignment = require("../models/assignments");
+const users = require("../models/users");
+const { retentionMs, purgeIntervalMs } = require("../config/trash");
+const { removeAttachmentFiles } = require("../utils/attachments");
+const { removeAvatar } = require("../utils/avatars");
+const { logger } = require("../utils/logger");
+
+const MODELS = {
+  todos: Todo,
+  assignments: Assignment,
+  users
+};
+
+/**
+ * Delete every document that has been in the trash longer than the retention period,
+ * together with its attachment and avatar files
+ * @returns {Promise<Object>} Number of purged documents per collection
+ */
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - retentionMs);
+  const purged = {};
+
+  for (const [name, Model] of Object.entries(MODELS)) {
+    const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+
+    // Remember the attachments and avatars before their documents are gone
+    const withFiles = Model.schema.path("attachments")
+      ? await Model.find({ ...expired, "attachments.0": { $exists: true } }).select("attachments").lean()
+      : [];
+    const withAvatars = Model.schema.path("avatar")
+      ? await Model.find({ ...expired, avatar: { $ne: null } }).select("avatar").lean()
+      : [];
+
+    const result = await Model.deleteMany(expired);
+    await removeAttachmentFiles(Model, withFiles);
+    for (const user of withAvatars) {
+      await removeAvatar(user._id, user.avatar);
+    }
+    purged[name] = result.deletedCount;
+  }
+
+  const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    logger.info("Trash purged", { purged });
+  }
+
+  return purged;
+};
+
+/**
+ * Run purgeTrash on an interval
+ * @returns {Timeout} Timer handle, pass to stopPurgeJob on shutdown
+ */
+const startPurgeJob = () => {
+  const run = () => {
+    purgeTrash().catch((err) => logger.error("Trash purge failed", { err }));
+  };
+
+  run();
+  const timer = setInterval(run, purgeIntervalMs);
+
+  // Do not keep the process alive just for the purge job
+  timer.unref();
+  return timer;
+};
+
+const stopPurgeJob = (timer) => {
+  clearInterval(timer);
+};
+
+module.exports = {
+  purgeTrash,
+  startPurgeJob,
+  stopPurgeJob
+};
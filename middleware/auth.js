@@ -1,34 +1,52 @@
 /**
- * Authentication Middleware Example
- * This is a simple example of auth middleware
- * In production, you would use JWT, sessions, or OAuth
+ * Authentication Middleware
+ * Verifies the JWT access token sent as `Authorization: Bearer <token>`
+ * and attaches the authenticated user to the request
  */
 
-const authMiddleware = (req, res, next) => {
-  // Example: Check for API key in headers
-  const apiKey = req.headers['x-api-key'];
+const users = require("../models/users");
+const { verifyToken } = require("../utils/tokens");
 
-  // For demonstration purposes - in production, validate against database or JWT
-  if (!apiKey) {
+const authMiddleware = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
     return res.status(401).json({
       success: false,
-      error: 'No API key provided. Include x-api-key in headers.'
+      error: 'No access token provided. Include "Authorization: Bearer <token>" in headers.'
     });
   }
 
-  // Example validation (replace with real validation)
-  if (apiKey === process.env.API_KEY || apiKey === 'demo-key-12345') {
-    // Attach user info to request (example)
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+
+  try {
+    // Make sure the account still exists and pick up role changes
+    const user = await users.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User no longer exists'
+      });
+    }
+
     req.user = {
-      id: 'user-123',
-      role: 'admin'
+      id: user._id.toString(),
+      role: user.role,
+      email: user.email
     };
     next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid API key'
-    });
+  } catch (err) {
+    next(err);
   }
 };
 
@@ -55,7 +73,33 @@ const requireRole = (...roles) => {
   };
 };
 
+/**
+ * Authorization middleware for routes about one user account
+ * Lets through the user named by the route parameter and admins
+ * @param {string} [paramName='userId'] - Route parameter holding the user id
+ */
+const requireSelfOrAdmin = (paramName = 'userId') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (req.user.role !== 'admin' && req.user.id !== req.params[paramName]) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authMiddleware,
-  requireRole
+  requireRole,
+  requireSelfOrAdmin
 };
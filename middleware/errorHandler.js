@@ -3,13 +3,14 @@
  * Catches and formats all errors in the application
  */
 
+const { logger } = require('../utils/logger');
+
 const errorHandler = (err, req, res, next) => {
-  // Log error for debugging
-  console.error('Error:', {
-    message: err.message,
-    stack: err.stack,
+  // Log error for debugging (the request ID is added by the logger context)
+  logger.error('Unhandled request error', {
     path: req.path,
-    method: req.method
+    method: req.method,
+    err
   });
 
   // Mongoose validation error
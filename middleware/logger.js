@@ -1,25 +1,52 @@
 /**
  * Logger Middleware
- * Logs incoming requests with timestamp, method, and path
+ * Gives every request a correlation ID (taken from an incoming `X-Request-Id`
+ * header or generated), echoes it in the `X-Request-Id` response header and
+ * logs the request as structured JSON. Everything logged while the request is
+ * handled carries the same `requestId`. Finished requests are also recorded in
+ * the Prometheus HTTP metrics.
  */
 
+const { logger: log, withLogContext, requestIdFor } = require('../utils/logger');
+const { observeRequest } = require('../utils/metrics');
+
 const logger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.originalUrl || req.url;
-  const ip = req.ip || req.connection.remoteAddress;
-
-  console.log(`[${timestamp}] ${method} ${url} - IP: ${ip}`);
-
-  // Log response time
-  const start = Date.now();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`[${timestamp}] ${method} ${url} - Status: ${res.statusCode} - ${duration}ms`);
-  });
+  const requestId = requestIdFor(req.get('X-Request-Id'));
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  withLogContext({ requestId }, () => {
+    log.debug('Request started', {
+      method: req.method,
+      url: req.originalUrl || req.url,
+      headers: req.headers
+    });
 
-  next();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      observeRequest(req, res, durationMs / 1000);
+
+      let level = 'info';
+      if (res.statusCode >= 500) {
+        level = 'error';
+      } else if (res.statusCode >= 400) {
+        level = 'warn';
+      }
+
+      log[level]('Request completed', {
+        method: req.method,
+        url: req.originalUrl || req.url,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: req.ip,
+        userId: req.user ? req.user.id : null
+      });
+    });
+
+    next();
+  });
 };
 
 module.exports = logger;
@@ -0,0 +1,59 @@
+/**
+ * Rate Limit Middleware
+ * Limits REST requests per client and reports the quota with the IETF
+ * `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and
+ * `RateLimit-Policy` headers. Over the limit the API answers 429 with `Retry-After`.
+ *
+ * Clients are identified by the user of a valid access token, otherwise by
+ * IP address. Nothing else the client sends picks the bucket, so changing a
+ * header cannot buy a fresh quota.
+ */
+
+const { verifyToken } = require('../utils/tokens');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { windowMs, maxRequests } = require('../config/rateLimit');
+
+const limiter = createRateLimiter({ windowMs, max: maxRequests });
+
+/**
+ * Rate limit key for a request
+ */
+const clientKey = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    try {
+      return `user:${verifyToken(token, 'access').sub}`;
+    } catch (err) {
+      // Invalid tokens are counted against the IP below
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+const rateLimit = (req, res, next) => {
+  const { allowed, limit, remaining, resetMs } = limiter.hit(clientKey(req));
+  const resetSeconds = Math.ceil(resetMs / 1000);
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+  });
+
+  if (!allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      error: `Too many requests, please try again in ${resetSeconds} seconds`
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  clientKey,
+  rateLimit
+};
@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const attachments = require("./plugins/attachments");
+const audit = require("./plugins/audit");
+const version = require("./plugins/version");
+const metrics = require("./plugins/metrics");
 
 const AssignmentSchema = mongoose.Schema({
   title: {
@@ -23,18 +28,40 @@ const AssignmentSchema = mongoose.Schema({
     type: Date,
     required: true
   },
+  // Set by the submit/grade workflow (utils/assignmentWorkflow.js), not by plain updates
   submittedDate: {
     type: Date
   },
+  late: {
+    type: Boolean,
+    default: false
+  },
   grade: {
     type: Number,
     min: 0,
     max: 100
   },
+  gradedAt: {
+    type: Date
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users'
+  },
   date: {
     type: Date,
     default: Date.now,
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    index: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,4 +74,16 @@ const AssignmentSchema = mongoose.Schema({
   timestamps: true
 });
 
+// Text index used by `q=` search and GET /search
+AssignmentSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'assignment_text', weights: { title: 5, content: 1 } }
+);
+
+AssignmentSchema.plugin(softDelete);
+AssignmentSchema.plugin(attachments);
+AssignmentSchema.plugin(version);
+AssignmentSchema.plugin(audit, { resource: 'assignment' });
+AssignmentSchema.plugin(metrics);
+
 module.exports = mongoose.model("assignments", AssignmentSchema);
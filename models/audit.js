@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const metrics = require("./plugins/metrics");
+
+const AuditSchema = mongoose.Schema({
+  resource: {
+    type: String,
+    enum: ['todo', 'assignment', 'user'],
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['rest', 'socket', 'system'],
+    default: 'system'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditSchema.index({ resource: 1, documentId: 1, createdAt: -1 });
+AuditSchema.index({ actor: 1, createdAt: -1 });
+AuditSchema.index({ createdAt: -1 });
+
+AuditSchema.plugin(metrics);
+
+module.exports = mongoose.model("audits", AuditSchema);
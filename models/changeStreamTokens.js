@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const metrics = require("./plugins/metrics");
+
+// Last processed change-stream position per watched collection
+const ChangeStreamTokenSchema = mongoose.Schema({
+  // Collection name, e.g. 'todos'
+  _id: {
+    type: String,
+    required: true
+  },
+  token: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+ChangeStreamTokenSchema.plugin(metrics);
+
+module.exports = mongoose.model("changestreamtokens", ChangeStreamTokenSchema);
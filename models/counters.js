@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const metrics = require("./plugins/metrics");
+
+// Named monotonic counters, incremented atomically with $inc
+const CounterSchema = mongoose.Schema({
+  // Counter name, e.g. 'socketEvents'
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+CounterSchema.plugin(metrics);
+
+module.exports = mongoose.model("counters", CounterSchema);
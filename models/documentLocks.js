@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const metrics = require("./plugins/metrics");
+
+// Editing locks on todos and assignments, each held by one socket until it expires
+const DocumentLockSchema = mongoose.Schema({
+  // Document room, e.g. 'doc:todo:65a0...'
+  _id: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  socketId: {
+    type: String,
+    required: true
+  },
+  // Locks that are not renewed in time no longer count; MongoDB removes them later
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+DocumentLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+DocumentLockSchema.index({ socketId: 1 });
+
+DocumentLockSchema.plugin(metrics);
+
+module.exports = mongoose.model("documentlocks", DocumentLockSchema);
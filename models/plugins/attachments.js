@@ -0,0 +1,45 @@
+/**
+ * Attachments Plugin
+ * Adds an `attachments` array with the metadata of files uploaded to a document.
+ * The files themselves live in the storage backend (utils/storage.js) under
+ * `<collection>/<documentId>/<attachmentId>`; see utils/attachments.js.
+ */
+
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const attachments = (schema) => {
+  schema.add({
+    attachments: {
+      type: [AttachmentSchema],
+      default: []
+    }
+  });
+};
+
+module.exports = attachments;
@@ -0,0 +1,143 @@
+/**
+ * Audit Plugin
+ * Records who changed what for every create, update, delete, restore and purge.
+ *
+ * Pass the actor and source with the `audit` option:
+ *   doc.save({ audit: { actor: userId, source: 'rest' } })
+ *   Model.findOneAndUpdate(filter, update, { new: true, audit: { actor, source: 'socket' } })
+ * Changes made without the option are recorded with source 'system'.
+ * Audit failures are logged and never fail the original write.
+ */
+
+const Audit = require("../audit");
+const { logger } = require("../../utils/logger");
+
+// Bookkeeping fields that never show up in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'refreshTokens'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level diff between two plain objects
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!isEqual(from, to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Work out the action from the soft delete timestamp
+ */
+const actionFor = (before, after) => {
+  const wasDeleted = Boolean(before && before.deletedAt);
+  const isDeleted = Boolean(after && after.deletedAt);
+  if (!wasDeleted && isDeleted) {
+    return 'delete';
+  }
+  if (wasDeleted && !isDeleted) {
+    return 'restore';
+  }
+  return 'update';
+};
+
+const toPlain = (doc) => (doc ? doc.toObject({ depopulate: true }) : null);
+
+// Entries are written in the same session as the change, so they roll back with a transaction
+const record = async (resource, action, documentId, changes, context = {}, session = null) => {
+  if (action === 'update' && changes.length === 0) {
+    return;
+  }
+
+  try {
+    await Audit.create([{
+      resource,
+      documentId,
+      action,
+      actor: context.actor || null,
+      source: context.source || 'system',
+      changes
+    }], { session });
+  } catch (err) {
+    logger.error('Failed to write audit entry', { resource, documentId, err });
+  }
+};
+
+const audit = (schema, { resource }) => {
+  schema.pre('save', function (next, options) {
+    this.$locals.audit = (options && options.audit) || {};
+    this.$locals.auditIsNew = this.isNew;
+
+    if (this.isNew) {
+      return next();
+    }
+
+    // Keep the stored version so the post hook can diff against it
+    this.constructor.findById(this._id)
+      .session(this.$session())
+      .setOptions({ withDeleted: true })
+      .then((before) => {
+        this.$locals.auditBefore = toPlain(before);
+        next();
+      })
+      .catch(next);
+  });
+
+  schema.post('save', async function (doc) {
+    const before = doc.$locals.auditIsNew ? null : doc.$locals.auditBefore;
+    const after = toPlain(doc);
+    const action = doc.$locals.auditIsNew ? 'create' : actionFor(before, after);
+    await record(resource, action, doc._id, diff(before, after), doc.$locals.audit, doc.$session());
+  });
+
+  schema.pre('findOneAndUpdate', async function () {
+    const before = await this.model.findOne(this.getFilter())
+      .session(this.getOptions().session || null)
+      .setOptions({ withDeleted: true });
+    this._auditBefore = toPlain(before);
+  });
+
+  schema.post('findOneAndUpdate', async function (result) {
+    const before = this._auditBefore;
+    if (!result || !before) {
+      return;
+    }
+
+    const options = this.getOptions();
+    const returnsNew = options.new || options.returnDocument === 'after';
+    const updated = returnsNew
+      ? result
+      : await this.model.findById(before._id).session(options.session || null).setOptions({ withDeleted: true });
+
+    const after = toPlain(updated);
+    await record(resource, actionFor(before, after), before._id, diff(before, after), options.audit, options.session);
+  });
+
+  schema.pre('deleteMany', async function () {
+    const docs = await this.model.find(this.getFilter())
+      .session(this.getOptions().session || null)
+      .setOptions({ withDeleted: true });
+    this._auditDeleted = docs.map(toPlain);
+  });
+
+  schema.post('deleteMany', async function () {
+    const options = this.getOptions();
+    for (const before of this._auditDeleted || []) {
+      await record(resource, 'purge', before._id, diff(before, null), options.audit, options.session);
+    }
+  });
+};
+
+module.exports = audit;
@@ -0,0 +1,58 @@
+/**
+ * Metrics Plugin
+ * Times every query, aggregate and save on a model and records it in the
+ * `mongodb_operation_duration_seconds` histogram (see utils/metrics.js).
+ */
+
+const { mongoQueryDuration } = require('../../utils/metrics');
+
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'estimatedDocumentCount',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany',
+  'replaceOne'
+];
+
+const metrics = (schema) => {
+  const start = function () {
+    this.$metricsStart = process.hrtime.bigint();
+  };
+
+  const observe = (model, operation, startedAt) => {
+    if (startedAt) {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      mongoQueryDuration.observe({ model, operation }, seconds);
+    }
+  };
+
+  schema.pre(QUERY_OPERATIONS, start);
+  schema.post(QUERY_OPERATIONS, function () {
+    observe(this.model.modelName, this.op, this.$metricsStart);
+  });
+  schema.post(QUERY_OPERATIONS, function (error, res, next) {
+    observe(this.model.modelName, this.op, this.$metricsStart);
+    next(error);
+  });
+
+  schema.pre('aggregate', start);
+  schema.post('aggregate', function () {
+    observe(this._model.modelName, 'aggregate', this.$metricsStart);
+  });
+
+  schema.pre('save', function () {
+    this.$locals.metricsStart = process.hrtime.bigint();
+  });
+  schema.post('save', function (doc) {
+    observe(doc.constructor.modelName, 'save', doc.$locals.metricsStart);
+  });
+};
+
+module.exports = metrics;
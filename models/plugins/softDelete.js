@@ -0,0 +1,67 @@
+/**
+ * Soft Delete Plugin
+ * Adds a `deletedAt` timestamp and hides soft-deleted documents from normal queries.
+ *
+ * Queries skip the automatic `deletedAt: null` condition when either
+ * - the filter already mentions `deletedAt` (e.g. the trash listing), or
+ * - the query is run with `.setOptions({ withDeleted: true })`.
+ */
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted) {
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  /**
+   * Mark a live document as deleted
+   * @param {Object} filter - Query filter
+   * @param {Object} [options] - Extra query options (e.g. `audit`)
+   * @returns {Promise<Document|null>} The deleted document, or null if not found
+   */
+  schema.statics.softDelete = function (filter, options = {}) {
+    return this.findOneAndUpdate(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { ...options, new: true }
+    );
+  };
+
+  /**
+   * Bring a soft-deleted document back
+   * @param {Object} filter - Query filter
+   * @param {Object} [options] - Extra query options (e.g. `audit`)
+   * @returns {Promise<Document|null>} The restored document, or null if not in the trash
+   */
+  schema.statics.restore = function (filter, options = {}) {
+    return this.findOneAndUpdate(
+      { ...filter, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { ...options, new: true }
+    );
+  };
+};
+
+module.exports = softDelete;
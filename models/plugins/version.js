@@ -0,0 +1,72 @@
+/**
+ * Version Plugin
+ * Bumps the version key (`__v`) on every write so it can be used for optimistic
+ * concurrency control (ETag / If-Match on REST, expected version on sockets).
+ *
+ * Mongoose only increments `__v` when arrays change, so this plugin
+ * - increments it on every save of an existing document, and
+ * - adds `$inc: { __v: 1 }` to every update query.
+ * Clients can never set the version themselves; it is stripped from updates.
+ *
+ * Updates that only touch hidden (`select: false`) fields, such as the refresh tokens
+ * pushed on login, leave the version alone: clients never see those fields, so their
+ * ETags should not change.
+ */
+
+const UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Maintained by Mongoose's timestamps option on every update
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+const version = (schema) => {
+  const versionKey = schema.get('versionKey') || '__v';
+  const hiddenFields = Object.keys(schema.paths)
+    .filter((path) => schema.paths[path].options.select === false);
+
+  schema.pre('save', function () {
+    if (!this.isNew) {
+      this.increment();
+    }
+  });
+
+  schema.pre(UPDATE_QUERIES, function () {
+    const update = this.getUpdate();
+
+    // Aggregation pipeline updates are left alone
+    if (!update || Array.isArray(update)) {
+      return;
+    }
+
+    // Move plain fields under $set so the update can be combined with $inc
+    const normalized = {};
+    Object.entries(update).forEach(([key, value]) => {
+      if (key.startsWith('$')) {
+        normalized[key] = { ...normalized[key], ...value };
+      } else {
+        normalized.$set = { ...normalized.$set, [key]: value };
+      }
+    });
+
+    Object.keys(normalized).forEach((operator) => {
+      delete normalized[operator][versionKey];
+      if (Object.keys(normalized[operator]).length === 0) {
+        delete normalized[operator];
+      }
+    });
+
+    // Top-level fields written by the update, e.g. `refreshTokens` for `refreshTokens.0`
+    const fields = Object.values(normalized)
+      .flatMap((changes) => Object.keys(changes))
+      .map((path) => path.split('.')[0])
+      .filter((field) => !TIMESTAMP_FIELDS.includes(field));
+    if (fields.length > 0 && fields.every((field) => hiddenFields.includes(field))) {
+      this.setUpdate(normalized);
+      return;
+    }
+
+    normalized.$inc = { ...normalized.$inc, [versionKey]: 1 };
+    this.setUpdate(normalized);
+  });
+};
+
+module.exports = version;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const metrics = require("./plugins/metrics");
+const { eventLogSize } = require("../config/socket");
+
+// Room for entries of a few KB each; whichever limit is hit first evicts the oldest
+const BYTES_PER_EVENT = 8 * 1024;
+
+// Change events broadcast to sockets, replayed by the `sync` event
+const SocketEventSchema = mongoose.Schema({
+  // Sequence number
+  _id: {
+    type: Number,
+    required: true
+  },
+  resource: {
+    type: String,
+    enum: ['todo', 'assignment', 'user'],
+    required: true
+  },
+  action: {
+    type: String,
+    // Change events, then assignment workflow steps
+    enum: ['added', 'updated', 'deleted', 'restored', 'started', 'submitted', 'cancelled', 'graded'],
+    required: true
+  },
+  // Rooms the event was delivered to
+  rooms: {
+    type: [String],
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  // Change-stream resume token, so instances watching the same change share one entry
+  key: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false,
+  capped: { size: eventLogSize * BYTES_PER_EVENT, max: eventLogSize }
+});
+
+SocketEventSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+SocketEventSchema.plugin(metrics);
+
+module.exports = mongoose.model("socketevents", SocketEventSchema);
@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const attachments = require("./plugins/attachments");
+const audit = require("./plugins/audit");
+const version = require("./plugins/version");
+const metrics = require("./plugins/metrics");
 
 const TodoSchema = mongoose.Schema({
   title: {
@@ -25,6 +30,16 @@ const TodoSchema = mongoose.Schema({
   dueDate: {
     type: Date
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    index: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,4 +52,16 @@ const TodoSchema = mongoose.Schema({
   timestamps: true
 });
 
+// Text index used by `q=` search and GET /search
+TodoSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'todo_text', weights: { title: 5, description: 1 } }
+);
+
+TodoSchema.plugin(softDelete);
+TodoSchema.plugin(attachments);
+TodoSchema.plugin(version);
+TodoSchema.plugin(audit, { resource: 'todo' });
+TodoSchema.plugin(metrics);
+
 module.exports = mongoose.model("todos", TodoSchema);
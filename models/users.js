@@ -1,4 +1,12 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const audit = require("./plugins/audit");
+const version = require("./plugins/version");
+const metrics = require("./plugins/metrics");
+const bcrypt = require("bcryptjs");
+const { isPictureUrl, removeAvatar } = require("../utils/avatars");
+
+const SALT_ROUNDS = 10;
 
 const UserProfileSchema = mongoose.Schema({
   first_name: {
@@ -15,10 +23,33 @@ const UserProfileSchema = mongoose.Schema({
     minlength: [2, 'Last name must be at least 2 characters long'],
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  // An https URL, or the large thumbnail of the uploaded avatar
   picture: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    validate: {
+      validator: (value) => value === null || isPictureUrl(value),
+      message: 'Picture must be a well-formed https URL'
+    }
+  },
+  // Thumbnails of the last uploaded avatar (POST /users/:id/avatar)
+  avatar: {
+    type: new mongoose.Schema({
+      id: {
+        type: String,
+        required: true
+      },
+      thumbnails: {
+        small: String,
+        medium: String,
+        large: String
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: null
   },
   email: {
     type: String,
@@ -27,6 +58,31 @@ const UserProfileSchema = mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  password: {
+    type: String,
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false
+  },
+  role: {
+    type: String,
+    // Graders may grade submitted assignments; admins may do everything
+    enum: ['user', 'grader', 'admin'],
+    default: 'user'
+  },
+  // Hashes of the refresh tokens still in use (see routes/auth.js)
+  refreshTokens: {
+    type: [new mongoose.Schema({
+      hash: {
+        type: String,
+        required: true
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      }
+    }, { _id: false })],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -36,7 +92,91 @@ const UserProfileSchema = mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.refreshTokens;
+      return ret;
+    }
+  }
+});
+
+// Hash the password whenever it is set or changed
+UserProfileSchema.pre('save', async function () {
+  if (!this.isModified('password') || !this.password) {
+    return;
+  }
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
 });
 
+// Whether a new `picture` leaves the uploaded avatar behind (anything but its own large thumbnail)
+const dropsAvatar = (avatar, picture) => (
+  Boolean(avatar) && picture !== undefined && picture !== avatar.thumbnails.large
+);
+
+// Value an update gives a path, at the top level or under $set
+const updatedValue = (update, path) => (update.$set && path in update.$set ? update.$set[path] : update[path]);
+
+// Setting `picture` to anything else clears the avatar on every write path (REST, Socket.io,
+// bulk); its files are removed once the write succeeds. Avatar uploads set `avatar` themselves.
+UserProfileSchema.pre('save', function () {
+  if (this.isNew || !this.isModified('picture') || this.isModified('avatar') || !dropsAvatar(this.avatar, this.picture)) {
+    return;
+  }
+  this.$locals.replacedAvatar = this.avatar.toObject();
+  this.avatar = null;
+});
+
+UserProfileSchema.post('save', async function (doc) {
+  if (doc.$locals.replacedAvatar) {
+    await removeAvatar(String(doc._id), doc.$locals.replacedAvatar);
+    doc.$locals.replacedAvatar = null;
+  }
+});
+
+UserProfileSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate();
+  const picture = updatedValue(update, 'picture');
+  if (picture === undefined || updatedValue(update, 'avatar') !== undefined) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getFilter())
+    .select('avatar')
+    .session(this.getOptions().session || null);
+  if (current && dropsAvatar(current.avatar, picture)) {
+    this._replacedAvatar = current.avatar.toObject();
+    this.set('avatar', null);
+  }
+});
+
+UserProfileSchema.post('findOneAndUpdate', async function (result) {
+  if (result && this._replacedAvatar) {
+    await removeAvatar(String(result._id), this._replacedAvatar);
+  }
+});
+
+/**
+ * Compare a plain-text password with the stored hash
+ * The password field must have been selected with `.select('+password')`
+ */
+UserProfileSchema.methods.comparePassword = function (candidate) {
+  if (!this.password) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Text index used by `q=` search and GET /search
+UserProfileSchema.index(
+  { first_name: 'text', last_name: 'text', email: 'text' },
+  { name: 'user_text', weights: { first_name: 3, last_name: 3, email: 1 } }
+);
+
+UserProfileSchema.plugin(softDelete);
+UserProfileSchema.plugin(version);
+UserProfileSchema.plugin(audit, { resource: 'user' });
+UserProfileSchema.plugin(metrics);
+
 module.exports = mongoose.model("users", UserProfileSchema);
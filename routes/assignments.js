@@ -2,6 +2,50 @@ const express = require("express");
 const router = express.Router();
 const { body, param, validationResult } = require("express-validator");
 const Assignment = require("../models/assignments");
+const Audit = require("../models/audit");
+const { populateValidator, applyPopulate } = require("../utils/populate");
+const { listValidators, paginate } = require("../utils/listQuery");
+const { parseFilters, mergeFilters } = require("../utils/filterQuery");
+const resources = require("../config/resources");
+const { isAdmin, scopeFilter, scopedById } = require("../utils/scope");
+const {
+  userRefValidator,
+  createAssignmentValidators,
+  updateAssignmentValidators,
+  assignmentWorkflowValidator,
+  gradeAssignmentValidators
+} = require("../utils/validators");
+const { requireRole } = require("../middleware/auth");
+const {
+  FINISHED_STATUSES,
+  WorkflowError,
+  checkEdit,
+  transition,
+  grade
+} = require("../utils/assignmentWorkflow");
+const { broadcastChange, broadcastBatch, broadcastTransition } = require("../socket/broadcast");
+const { requestAudit } = require("../utils/audit");
+const { setETag, versionFilter, preconditionFailed } = require("../utils/concurrency");
+const { bulkValidators, runBulk } = require("../utils/bulk");
+const {
+  ImportError,
+  exportValidators,
+  streamExport,
+  importUpload,
+  importValidators,
+  readUpload,
+  runImport
+} = require("../utils/importExport");
+const {
+  AttachmentError,
+  attachmentUpload,
+  addAttachment,
+  sendAttachment,
+  removeAttachment
+} = require("../utils/attachments");
+
+// User references that can be expanded with ?populate=
+const POPULATE_PATHS = ['owner', 'assignee'];
 
 /**
  * Middleware to handle validation errors
@@ -23,7 +67,13 @@ const handleValidationErrors = (req, res, next) => {
  *   get:
  *     tags: [Assignments]
  *     summary: Get all assignments
- *     description: Retrieve all assignments with optional filtering by status
+ *     description: |
+ *       Retrieve the assignments you own or are assigned (every assignment for admins), with optional filtering.
+ *       
+ *       Filterable fields: `title`, `status`, `dueDate`, `submittedDate`, `late`, `grade`, `owner`, `assignee`, `createdAt`, `updatedAt`.
+ *       Use `field=value` for equality or `field[op]=value` with `eq`, `ne`, `gt`, `gte`, `lt`, `lte`,
+ *       `in`, `nin`, `between` and `exists` (range operators only apply to dates and grades), e.g.
+ *       `grade[gte]=80`, `status[in]=pending,in-progress`, `dueDate[between]=2026-01-01,2026-01-31`.
  *     parameters:
  *       - in: query
  *         name: status
@@ -31,9 +81,26 @@ const handleValidationErrors = (req, res, next) => {
  *           type: string
  *           enum: [pending, in-progress, completed, cancelled]
  *         description: Filter by assignment status
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: Successfully retrieved assignments
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 next/prev/first/last page links
  *         content:
  *           application/json:
  *             schema:
@@ -43,35 +110,212 @@ const handleValidationErrors = (req, res, next) => {
  *                   type: boolean
  *                 count:
  *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Assignment'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get("/", async (req, res) => {
-  try {
-    const { status } = req.query;
-    const filter = {};
-    
-    if (status) {
-      filter.status = status;
+router.get(
+  "/",
+  [populateValidator(POPULATE_PATHS), ...listValidators(resources.assignments)],
+  handleValidationErrors,
+  parseFilters(resources.assignments.filterable),
+  async (req, res) => {
+    try {
+      const result = await paginate(req, res, {
+        Model: Assignment,
+        filter: mergeFilters(scopeFilter("assignments", req.user), req.filter),
+        config: resources.assignments
+      });
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
     }
+  }
+);
 
-    const assignments = await Assignment.find(filter).sort({ dueDate: 1 });
-    res.json({
-      success: true,
-      count: assignments.length,
-      data: assignments
-    });
-  } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+/**
+ * @swagger
+ * /assignments/export:
+ *   get:
+ *     tags: [Assignments]
+ *     summary: Export assignments
+ *     description: |
+ *       Stream every matching assignment as a CSV, JSON or NDJSON download.
+ *       Covers the same assignments and accepts the same filters as `GET /assignments`; `q`, `sort` and `fields` work as on the list endpoint.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: json
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Assignment'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/export",
+  exportValidators(resources.assignments),
+  handleValidationErrors,
+  parseFilters(resources.assignments.filterable),
+  async (req, res) => {
+    try {
+      await streamExport(req, res, {
+        Model: Assignment,
+        filter: mergeFilters(scopeFilter("assignments", req.user), req.filter),
+        config: resources.assignments,
+        name: "assignments"
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /assignments/import:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Import assignments from a file
+ *     description: |
+ *       Upload a CSV (header row with field names), JSON array or NDJSON file as the multipart field `file`
+ *       (max 5 MB, 5000 rows). Every row is validated with the same rules as `POST /assignments` and the response
+ *       lists the result per row. Valid rows are created even when other rows fail.
+ *       
+ *       Set `dryRun=true` to only validate.
+ *       
+ *       **Socket.io Integration:** Imported assignments are broadcast as a single `assignment:bulk` event.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate without saving anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *         description: File format, detected from the file name or type when omitted
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Row-by-row import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/import",
+  importUpload,
+  importValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const records = readUpload(req.file, req.query.format);
+      const { results, summary, added } = await runImport({
+        Model: Assignment,
+        records,
+        validators: createAssignmentValidators,
+        fields: resources.assignments.writable,
+        owner: { field: 'owner', id: req.user.id },
+        audit: requestAudit(req),
+        dryRun: req.query.dryRun
+      });
+
+      // One batched Socket.io event for all imported assignments
+      if (added.length > 0) {
+        broadcastBatch(req.app.get('io'), 'assignment', { added });
+      }
+
+      res.json({
+        success: summary.invalid === 0,
+        message: req.query.dryRun
+          ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+          : `Imported ${summary.imported} of ${summary.total} rows`,
+        dryRun: Boolean(req.query.dryRun),
+        summary,
+        data: results
+      });
+    } catch (err) {
+      if (err instanceof ImportError) {
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -87,9 +331,18 @@ router.get("/", async (req, res) => {
  *         schema:
  *           type: string
  *         description: MongoDB ObjectId of the assignment
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
  *     responses:
  *       200:
  *         description: Successfully retrieved assignment
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -101,6 +354,8 @@ router.get("/", async (req, res) => {
  *                   $ref: '#/components/schemas/Assignment'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -111,12 +366,16 @@ router.get(
   [
     param("assignmentId")
       .isMongoId()
-      .withMessage("Invalid assignment ID format")
+      .withMessage("Invalid assignment ID format"),
+    populateValidator(POPULATE_PATHS)
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const assignment = await Assignment.findById(req.params.assignmentId);
+      const assignment = await applyPopulate(
+        Assignment.findOne(scopedById("assignments", req.user, req.params.assignmentId)),
+        req.query.populate
+      );
       
       if (!assignment) {
         return res.status(404).json({
@@ -125,6 +384,7 @@ router.get(
         });
       }
 
+      setETag(res, assignment);
       res.json({
         success: true,
         data: assignment
@@ -144,7 +404,10 @@ router.get(
  *   post:
  *     tags: [Assignments]
  *     summary: Create a new assignment
- *     description: Create a new assignment with validation
+ *     description: |
+ *       Create a new assignment with validation. New assignments always start as `pending`.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:added` event to the Socket.io rooms of the owning user (and admins) when an assignment is created.
  *     requestBody:
  *       required: true
  *       content:
@@ -165,22 +428,14 @@ router.get(
  *                 type: string
  *                 minLength: 10
  *                 example: Build a REST API with Express and MongoDB
- *               status:
- *                 type: string
- *                 enum: [pending, in-progress, completed, cancelled]
- *                 default: pending
  *               dueDate:
  *                 type: string
  *                 format: date-time
  *                 example: 2026-01-30T00:00:00.000Z
- *               submittedDate:
+ *               assignee:
  *                 type: string
- *                 format: date-time
- *               grade:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 100
- *                 example: 95
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       201:
  *         description: Assignment created successfully
@@ -197,51 +452,31 @@ router.get(
  *                   $ref: '#/components/schemas/Assignment'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 router.post(
   "/",
-  [
-    body("title")
-      .trim()
-      .notEmpty()
-      .withMessage("Title is required")
-      .isLength({ min: 5, max: 200 })
-      .withMessage("Title must be between 5 and 200 characters"),
-    body("content")
-      .trim()
-      .notEmpty()
-      .withMessage("Content is required")
-      .isLength({ min: 10 })
-      .withMessage("Content must be at least 10 characters long"),
-    body("status")
-      .optional()
-      .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-      .withMessage("Status must be pending, in-progress, completed, or cancelled"),
-    body("dueDate")
-      .notEmpty()
-      .withMessage("Due date is required")
-      .isISO8601()
-      .withMessage("Due date must be a valid date"),
-    body("grade")
-      .optional()
-      .isFloat({ min: 0, max: 100 })
-      .withMessage("Grade must be between 0 and 100")
-  ],
+  createAssignmentValidators,
   handleValidationErrors,
   async (req, res) => {
     try {
       const assignment = new Assignment({
         title: req.body.title,
         content: req.body.content,
-        status: req.body.status || 'pending',
         dueDate: req.body.dueDate,
-        submittedDate: req.body.submittedDate,
-        grade: req.body.grade
+        assignee: req.body.assignee,
+        owner: req.user.id
       });
 
-      const savedAssignment = await assignment.save();
+      const savedAssignment = await assignment.save({ audit: requestAudit(req) });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'added', savedAssignment);
+
+      setETag(res, savedAssignment);
       res.status(201).json({
         success: true,
         message: "Assignment created successfully",
@@ -256,19 +491,158 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /assignments/bulk:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Bulk create, update and delete assignments
+ *     description: |
+ *       Apply up to 1000 mixed `insert`, `update` and `delete` operations in one request.
+ *       Each operation gets its own result with an HTTP-style `status` and either `data` or `error`.
+ *       Updates may carry the expected `version` (`__v`) and fail with 412 if it is stale.
+ *       Updates follow the same rules as PATCH: 403 when anyone but the owner or an admin changes
+ *       `dueDate` or `assignee`, 409 once the assignment is completed or cancelled.
+ *       
+ *       With `atomic: true` the batch runs in a MongoDB transaction (replica set required): the first
+ *       failure rolls everything back, the response is 400 and the other operations report 424.
+ *       
+ *       **Socket.io Integration:** Successful changes are broadcast as a single `assignment:bulk` event
+ *       with `{ added, updated, deleted }` arrays instead of one event per document.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [insert, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Required for update and delete
+ *                     version:
+ *                       type: integer
+ *                       description: Expected document version for updates
+ *                     data:
+ *                       type: object
+ *                       description: Fields to insert or update
+ *           example:
+ *             atomic: false
+ *             operations:
+ *               - { "op": "insert", "data": { "title": "Essay draft", "content": "Write the first draft", "dueDate": "2026-12-01" } }
+ *               - { "op": "update", "id": "665f1c2e8b3a4d0012345678", "data": { "status": "completed" } }
+ *               - { "op": "delete", "id": "665f1c2e8b3a4d0012345679" }
+ *     responses:
+ *       200:
+ *         description: Operations processed; check each result for failures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       400:
+ *         description: Validation error, or an atomic batch was rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/bulk",
+  bulkValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { results, summary, changes, rolledBack } = await runBulk({
+        Model: Assignment,
+        label: "Assignment",
+        operations: req.body.operations,
+        atomic: req.body.atomic,
+        fields: resources.assignments.writable,
+        createValidators: createAssignmentValidators,
+        updateValidators: updateAssignmentValidators,
+        references: ['assignee'],
+        owner: { field: 'owner', id: req.user.id },
+        scope: scopeFilter("assignments", req.user),
+        checkUpdate: (assignment, values) => checkEdit(assignment, values, req.user),
+        audit: requestAudit(req)
+      });
+
+      // One batched Socket.io event instead of one per document
+      broadcastBatch(req.app.get('io'), 'assignment', changes);
+
+      res.status(rolledBack ? 400 : 200).json({
+        success: summary.failed === 0,
+        message: rolledBack
+          ? "Bulk operation rolled back, no assignments were changed"
+          : `Processed ${summary.total} operations, ${summary.failed} failed`,
+        summary,
+        data: results
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * Answer a refused workflow action or edit, or fall through to a 500
+ */
+const workflowFailed = (res, err) => {
+  if (err instanceof WorkflowError) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      details: err.details
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: err.message
+  });
+};
+
 /**
  * @swagger
  * /assignments/{assignmentId}:
  *   put:
  *     tags: [Assignments]
  *     summary: Update entire assignment
- *     description: Replace all assignment fields with new values
+ *     description: |
+ *       Replace all assignment fields with new values. `status`, `submittedDate` and `grade` are rejected;
+ *       they change through the start, submit, cancel and grade actions.
+ *       Only the owner or an admin may change `dueDate` or `assignee`, and completed or cancelled
+ *       assignments can no longer be edited.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:updated` event to the Socket.io rooms of the owning user (and admins) when an assignment is updated.
  *     parameters:
  *       - in: path
  *         name: assignmentId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -284,24 +658,28 @@ router.post(
  *                 type: string
  *               content:
  *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, in-progress, completed, cancelled]
  *               dueDate:
  *                 type: string
  *                 format: date-time
- *               submittedDate:
+ *               assignee:
  *                 type: string
- *                 format: date-time
- *               grade:
- *                 type: number
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       200:
  *         description: Assignment updated successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the owner or an admin may change the due date or assignee
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is completed or cancelled
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -327,42 +705,58 @@ router.put(
       .notEmpty()
       .withMessage("Due date is required")
       .isISO8601()
-      .withMessage("Due date must be a valid date")
+      .withMessage("Due date must be a valid date"),
+    assignmentWorkflowValidator,
+    userRefValidator("assignee")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const updatedAssignment = await Assignment.findByIdAndUpdate(
-        req.params.assignmentId,
-        {
-          title: req.body.title,
-          content: req.body.content,
-          status: req.body.status || 'pending',
-          dueDate: req.body.dueDate,
-          submittedDate: req.body.submittedDate,
-          grade: req.body.grade,
-          updatedAt: Date.now()
-        },
-        { new: true, runValidators: true }
+      const updateFields = {
+        title: req.body.title,
+        content: req.body.content,
+        dueDate: req.body.dueDate,
+        assignee: req.body.assignee
+      };
+
+      const existing = await Assignment.findOne(scopedById("assignments", req.user, req.params.assignmentId));
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: "Assignment not found"
+        });
+      }
+      checkEdit(existing, updateFields, req.user);
+
+      const updatedAssignment = await Assignment.findOneAndUpdate(
+        scopedById("assignments", req.user, req.params.assignmentId, versionFilter(req)),
+        { ...updateFields, updatedAt: Date.now() },
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedAssignment) {
+        // Either the document is gone or If-Match named an older version
+        const current = await Assignment.findOne(scopedById("assignments", req.user, req.params.assignmentId));
+        if (current) {
+          return preconditionFailed(res, current, "Assignment");
+        }
         return res.status(404).json({
           success: false,
           error: "Assignment not found"
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'updated', updatedAssignment);
+
+      setETag(res, updatedAssignment);
       res.json({
         success: true,
         message: "Assignment updated successfully",
         data: updatedAssignment
       });
     } catch (err) {
-      res.status(500).json({
-        success: false,
-        error: err.message
-      });
+      workflowFailed(res, err);
     }
   }
 );
@@ -373,13 +767,20 @@ router.put(
  *   patch:
  *     tags: [Assignments]
  *     summary: Update specific assignment fields
- *     description: Update only specified fields of an assignment
+ *     description: |
+ *       Update only specified fields of an assignment. `status`, `submittedDate` and `grade` are rejected;
+ *       they change through the start, submit, cancel and grade actions.
+ *       Only the owner or an admin may change `dueDate` or `assignee`, and completed or cancelled
+ *       assignments can no longer be edited.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:updated` event to the Socket.io rooms of the owning user (and admins) when an assignment is updated.
  *     parameters:
  *       - in: path
  *         name: assignmentId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -391,24 +792,28 @@ router.put(
  *                 type: string
  *               content:
  *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, in-progress, completed, cancelled]
  *               dueDate:
  *                 type: string
  *                 format: date-time
- *               submittedDate:
+ *               assignee:
  *                 type: string
- *                 format: date-time
- *               grade:
- *                 type: number
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       200:
  *         description: Assignment updated successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the owner or an admin may change the due date or assignee
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is completed or cancelled
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -418,24 +823,7 @@ router.patch(
     param("assignmentId")
       .isMongoId()
       .withMessage("Invalid assignment ID format"),
-    body("title")
-      .optional()
-      .trim()
-      .isLength({ min: 5, max: 200 })
-      .withMessage("Title must be between 5 and 200 characters"),
-    body("content")
-      .optional()
-      .trim()
-      .isLength({ min: 10 })
-      .withMessage("Content must be at least 10 characters long"),
-    body("status")
-      .optional()
-      .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-      .withMessage("Status must be pending, in-progress, completed, or cancelled"),
-    body("grade")
-      .optional()
-      .isFloat({ min: 0, max: 100 })
-      .withMessage("Grade must be between 0 and 100")
+    ...updateAssignmentValidators
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -443,35 +831,48 @@ router.patch(
       const updateFields = {};
       if (req.body.title !== undefined) updateFields.title = req.body.title;
       if (req.body.content !== undefined) updateFields.content = req.body.content;
-      if (req.body.status !== undefined) updateFields.status = req.body.status;
       if (req.body.dueDate !== undefined) updateFields.dueDate = req.body.dueDate;
-      if (req.body.submittedDate !== undefined) updateFields.submittedDate = req.body.submittedDate;
-      if (req.body.grade !== undefined) updateFields.grade = req.body.grade;
+      if (req.body.assignee !== undefined) updateFields.assignee = req.body.assignee;
+
+      const existing = await Assignment.findOne(scopedById("assignments", req.user, req.params.assignmentId));
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: "Assignment not found"
+        });
+      }
+      checkEdit(existing, updateFields, req.user);
       updateFields.updatedAt = Date.now();
 
-      const updatedAssignment = await Assignment.findByIdAndUpdate(
-        req.params.assignmentId,
+      const updatedAssignment = await Assignment.findOneAndUpdate(
+        scopedById("assignments", req.user, req.params.assignmentId, versionFilter(req)),
         { $set: updateFields },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedAssignment) {
+        // Either the document is gone or If-Match named an older version
+        const current = await Assignment.findOne(scopedById("assignments", req.user, req.params.assignmentId));
+        if (current) {
+          return preconditionFailed(res, current, "Assignment");
+        }
         return res.status(404).json({
           success: false,
           error: "Assignment not found"
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'updated', updatedAssignment);
+
+      setETag(res, updatedAssignment);
       res.json({
         success: true,
         message: "Assignment updated successfully",
         data: updatedAssignment
       });
     } catch (err) {
-      res.status(500).json({
-        success: false,
-        error: err.message
-      });
+      workflowFailed(res, err);
     }
   }
 );
@@ -482,7 +883,11 @@ router.patch(
  *   delete:
  *     tags: [Assignments]
  *     summary: Delete assignment
- *     description: Remove an assignment from the database
+ *     description: |
+ *       Move an assignment to the trash. It is hidden from normal queries until restored with
+ *       `POST /assignments/{assignmentId}/restore`, or permanently removed once the trash retention period ends.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:deleted` event to the Socket.io rooms of the owning user (and admins) when an assignment is deleted.
  *     parameters:
  *       - in: path
  *         name: assignmentId
@@ -494,6 +899,8 @@ router.patch(
  *         description: Assignment deleted successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -509,7 +916,7 @@ router.delete(
   handleValidationErrors,
   async (req, res) => {
     try {
-      const removedAssignment = await Assignment.findByIdAndDelete(req.params.assignmentId);
+      const removedAssignment = await Assignment.softDelete(scopedById("assignments", req.user, req.params.assignmentId), { audit: requestAudit(req) });
 
       if (!removedAssignment) {
         return res.status(404).json({
@@ -518,6 +925,9 @@ router.delete(
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'deleted', removedAssignment, { id: req.params.assignmentId });
+
       res.json({
         success: true,
         message: "Assignment deleted successfully",
@@ -532,4 +942,667 @@ router.delete(
   }
 );
 
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/restore:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Restore assignment from the trash
+ *     description: |
+ *       Bring a soft-deleted assignment back.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:restored` event to the Socket.io rooms of the owning user (and admins) when an assignment is restored.
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment restored successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Assignment not found in the trash
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/restore",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const restoredAssignment = await Assignment.restore(scopedById("assignments", req.user, req.params.assignmentId), { audit: requestAudit(req) });
+
+      if (!restoredAssignment) {
+        return res.status(404).json({
+          success: false,
+          error: "Assignment not found in trash"
+        });
+      }
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'restored', restoredAssignment);
+
+      res.json({
+        success: true,
+        message: "Assignment restored successfully",
+        data: restoredAssignment
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * Route handler moving an assignment along the state machine
+ * Emits `assignment:updated` and the step's own event (e.g. `assignment:submitted`)
+ */
+const workflowAction = (action, message) => {
+  return async (req, res) => {
+    try {
+      const { assignment, event } = await transition(req.params.assignmentId, action, {
+        user: req.user,
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io events for real-time updates
+      const io = req.app.get('io');
+      broadcastChange(io, 'assignment', 'updated', assignment);
+      broadcastTransition(io, 'assignment', event, assignment);
+
+      setETag(res, assignment);
+      res.json({
+        success: true,
+        message,
+        data: assignment
+      });
+    } catch (err) {
+      workflowFailed(res, err);
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/start:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Start working on an assignment
+ *     description: |
+ *       Move a `pending` assignment to `in-progress`. Only the assignee may start it (the owner, while nobody is assigned).
+ *       
+ *       **Socket.io Integration:** Emits `assignment:updated` and `assignment:started` to the Socket.io rooms of the owning user (and admins).
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment started
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the assignee (or the owner while unassigned) may start it
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is not pending
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/start",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format")
+  ],
+  handleValidationErrors,
+  workflowAction("start", "Assignment started")
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/submit:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Submit an assignment
+ *     description: |
+ *       Move an `in-progress` assignment to `completed` and record `submittedDate`.
+ *       Only the assignee may submit it (the owner, while nobody is assigned).
+ *       
+ *       Submissions after `dueDate` are accepted with `late: true`, or refused with 409 when
+ *       `ASSIGNMENT_LATE_POLICY=reject`. `ASSIGNMENT_LATE_GRACE_MINUTES` allows a grace period.
+ *       
+ *       **Socket.io Integration:** Emits `assignment:updated` and `assignment:submitted` to the Socket.io rooms of the owning user (and admins).
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment submitted
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the assignee (or the owner while unassigned) may submit it
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is not in progress, or it is late and late submissions are refused
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/submit",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format")
+  ],
+  handleValidationErrors,
+  workflowAction("submit", "Assignment submitted")
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/cancel:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Cancel an assignment
+ *     description: |
+ *       Move a `pending` or `in-progress` assignment to `cancelled`. Only the owner or an admin may cancel it.
+ *       
+ *       **Socket.io Integration:** Emits `assignment:updated` and `assignment:cancelled` to the Socket.io rooms of the owning user (and admins).
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment cancelled
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the owner or an admin may cancel it
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is already completed or cancelled
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/cancel",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format")
+  ],
+  handleValidationErrors,
+  workflowAction("cancel", "Assignment cancelled")
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/grade:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Grade a submitted assignment
+ *     description: |
+ *       Set the grade of a `completed` assignment and record `gradedAt` and `gradedBy`.
+ *       Grading again replaces the grade. Requires the `grader` or `admin` role.
+ *       
+ *       **Socket.io Integration:** Emits `assignment:updated` and `assignment:graded` to the Socket.io rooms of the owning user (and admins).
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grade
+ *             properties:
+ *               grade:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 95
+ *     responses:
+ *       200:
+ *         description: Assignment graded
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Grader or admin role required
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment has not been submitted
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/grade",
+  requireRole("grader", "admin"),
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format"),
+    ...gradeAssignmentValidators
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await grade(req.params.assignmentId, req.body.grade, {
+        graderId: req.user.id,
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io events for real-time updates
+      const io = req.app.get('io');
+      broadcastChange(io, 'assignment', 'updated', assignment);
+      broadcastTransition(io, 'assignment', 'graded', assignment);
+
+      setETag(res, assignment);
+      res.json({
+        success: true,
+        message: "Assignment graded",
+        data: assignment
+      });
+    } catch (err) {
+      workflowFailed(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/attachments:
+ *   post:
+ *     tags: [Assignments]
+ *     summary: Upload assignment attachment
+ *     description: |
+ *       Attach a file to an assignment, e.g. a deliverable (multipart field `file`). The file's metadata is added to the assignment's `attachments`.
+ *       Files are limited to ATTACHMENT_MAX_MB (default 10 MB) and the types in ATTACHMENT_MIME_TYPES,
+ *       and an assignment holds at most ATTACHMENT_MAX_PER_DOCUMENT (default 20) attachments.
+ *       Completed and cancelled assignments no longer take attachments.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:updated` event to the Socket.io rooms of the owning user (and admins) when an attachment is added.
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Missing file, file too large or type not allowed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment already has the maximum number of attachments, or is completed or cancelled
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:assignmentId/attachments",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format")
+  ],
+  handleValidationErrors,
+  attachmentUpload,
+  async (req, res) => {
+    try {
+      const { doc, attachment } = await addAttachment({
+        Model: Assignment,
+        id: req.params.assignmentId,
+        file: req.file,
+        label: "Assignment",
+        uploadedBy: req.user.id,
+        scope: scopeFilter("assignments", req.user),
+        lockedStatuses: FINISHED_STATUSES,
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'updated', doc);
+
+      res.status(201).json({
+        success: true,
+        message: "Attachment uploaded successfully",
+        data: attachment
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/attachments/{attachmentId}:
+ *   get:
+ *     tags: [Assignments]
+ *     summary: Download assignment attachment
+ *     description: Download an attached file with its original filename and content type.
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:assignmentId/attachments/:attachmentId",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format"),
+    param("attachmentId")
+      .isMongoId()
+      .withMessage("Invalid attachment ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await sendAttachment(res, {
+        Model: Assignment,
+        id: req.params.assignmentId,
+        attachmentId: req.params.attachmentId,
+        label: "Assignment",
+        scope: scopeFilter("assignments", req.user)
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/attachments/{attachmentId}:
+ *   delete:
+ *     tags: [Assignments]
+ *     summary: Delete assignment attachment
+ *     description: |
+ *       Remove an attachment from an assignment and delete its file. Only the uploader, the assignment's
+ *       owner or an admin may remove it, and not once the assignment is completed or cancelled.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `assignment:updated` event to the Socket.io rooms of the owning user (and admins) when an attachment is removed.
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the uploader, the owner or an admin may remove the attachment
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The assignment is completed or cancelled
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete(
+  "/:assignmentId/attachments/:attachmentId",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format"),
+    param("attachmentId")
+      .isMongoId()
+      .withMessage("Invalid attachment ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doc, attachment } = await removeAttachment({
+        Model: Assignment,
+        id: req.params.assignmentId,
+        attachmentId: req.params.attachmentId,
+        label: "Assignment",
+        user: req.user,
+        scope: scopeFilter("assignments", req.user),
+        lockedStatuses: FINISHED_STATUSES,
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'assignment', 'updated', doc);
+
+      res.json({
+        success: true,
+        message: "Attachment deleted successfully",
+        data: attachment
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /assignments/{assignmentId}/history:
+ *   get:
+ *     tags: [Assignments]
+ *     summary: Get assignment change history
+ *     description: |
+ *       Audit entries for an assignment, newest first. Each entry records the actor, the source (REST, socket or system)
+ *       and a field-level diff. History is kept after the assignment is deleted or purged;
+ *       once purged, only admins can read it. Non-admins get 404 for assignments outside their scope.
+ *       
+ *       Accepts the same filters as `GET /audit`, e.g. `action=update&changes.field=title`.
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the assignment
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: actor
+ *         description: Set to `actor` to expand the acting user
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved assignment history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:assignmentId/history",
+  [
+    param("assignmentId")
+      .isMongoId()
+      .withMessage("Invalid assignment ID format"),
+    populateValidator(['actor']),
+    ...listValidators(resources.audits)
+  ],
+  handleValidationErrors,
+  parseFilters(resources.audits.filterable),
+  async (req, res) => {
+    try {
+      if (!isAdmin(req.user)) {
+        const visible = await Assignment.exists(scopedById("assignments", req.user, req.params.assignmentId))
+          .setOptions({ withDeleted: true });
+        if (!visible) {
+          return res.status(404).json({
+            success: false,
+            error: "Assignment not found"
+          });
+        }
+      }
+
+      const result = await paginate(req, res, {
+        Model: Audit,
+        filter: mergeFilters(
+          { resource: "assignment", documentId: req.params.assignmentId },
+          req.filter
+        ),
+        config: resources.audits
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
 module.exports = router;
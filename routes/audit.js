@@ -0,0 +1,116 @@
+const express = require("express");
+const router = express.Router();
+const { validationResult } = require("express-validator");
+const Audit = require("../models/audit");
+const resources = require("../config/resources");
+const { populateValidator } = require("../utils/populate");
+const { listValidators, paginate } = require("../utils/listQuery");
+const { parseFilters } = require("../utils/filterQuery");
+
+/**
+ * Middleware to handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Query the audit log
+ *     description: |
+ *       Every create, update, delete, restore and purge of todos, assignments and users, newest first.
+ *       Admin only.
+ *       
+ *       Filterable fields: `resource`, `documentId`, `action`, `actor`, `source`, `changes.field`, `createdAt`
+ *       (same operator syntax as the list endpoints, e.g. `createdAt[gte]=2026-01-01&changes.field=grade`).
+ *     parameters:
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [todo, assignment, user]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user who made the change
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [rest, socket, system]
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: actor
+ *         description: Set to `actor` to expand the acting user
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/",
+  [populateValidator(['actor']), ...listValidators(resources.audits)],
+  handleValidationErrors,
+  parseFilters(resources.audits.filterable),
+  async (req, res) => {
+    try {
+      const result = await paginate(req, res, {
+        Model: Audit,
+        filter: req.filter,
+        config: resources.audits
+      });
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const users = require("../models/users");
+const { pictureValidator } = require("../utils/validators");
+const {
+  MAX_REFRESH_TOKENS,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  hashToken,
+  refreshTokenEntry
+} = require("../utils/tokens");
+
+/**
+ * Middleware to handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Issue a new access/refresh token pair and remember the refresh token
+ * Expired tokens are dropped first, and only the newest MAX_REFRESH_TOKENS are kept
+ */
+const issueTokens = async (user) => {
+  const accessToken = signAccessToken(user);
+  const refreshToken = signRefreshToken(user);
+
+  // Separate updates: MongoDB refuses $pull and $push on the same array in one update
+  await users.updateOne(
+    { _id: user._id },
+    { $pull: { refreshTokens: { expiresAt: { $lte: new Date() } } } }
+  );
+  await users.updateOne(
+    { _id: user._id },
+    { $push: { refreshTokens: { $each: [refreshTokenEntry(refreshToken)], $slice: -MAX_REFRESH_TOKENS } } }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Register a new account
+ *     description: Create a user with a hashed password and return an access/refresh token pair
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - first_name
+ *               - last_name
+ *               - email
+ *               - password
+ *             properties:
+ *               first_name:
+ *                 type: string
+ *                 example: John
+ *               last_name:
+ *                 type: string
+ *                 example: Doe
+ *               picture:
+ *                 type: string
+ *                 format: uri
+ *                 description: https URL of the profile picture; set automatically by POST /users/{userId}/avatar
+ *                 example: https://example.com/john.jpg
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.doe@example.com
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: correct-horse-battery
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Email already registered
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/register",
+  [
+    body("first_name")
+      .trim()
+      .notEmpty()
+      .withMessage("First name is required")
+      .isLength({ min: 2, max: 50 })
+      .withMessage("First name must be between 2 and 50 characters"),
+    body("last_name")
+      .trim()
+      .notEmpty()
+      .withMessage("Last name is required")
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Last name must be between 2 and 50 characters"),
+    pictureValidator(),
+    body("email")
+      .trim()
+      .notEmpty()
+      .withMessage("Email is required")
+      .isEmail()
+      .withMessage("Must be a valid email address")
+      .normalizeEmail(),
+    body("password")
+      .isLength({ min: 8 })
+      .withMessage("Password must be at least 8 characters long")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = new users({
+        first_name: req.body.first_name,
+        last_name: req.body.last_name,
+        picture: req.body.picture,
+        email: req.body.email,
+        password: req.body.password
+      });
+
+      const savedUser = await user.save({ audit: { source: 'rest' } });
+      const tokens = await issueTokens(savedUser);
+
+      res.status(201).json({
+        success: true,
+        message: "Account created successfully",
+        data: {
+          user: savedUser,
+          ...tokens
+        }
+      });
+    } catch (err) {
+      // The unique index also covers users in the trash, which a lookup by email would miss
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "Email is already registered"
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log in
+ *     description: Exchange an email and password for an access/refresh token pair
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Invalid email or password
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/login",
+  [
+    body("email")
+      .trim()
+      .isEmail()
+      .withMessage("Must be a valid email address")
+      .normalizeEmail(),
+    body("password")
+      .notEmpty()
+      .withMessage("Password is required")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await users.findOne({ email: req.body.email }).select('+password');
+
+      if (!user || !(await user.comparePassword(req.body.password))) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid email or password"
+        });
+      }
+
+      const tokens = await issueTokens(user);
+
+      res.json({
+        success: true,
+        message: "Logged in successfully",
+        data: {
+          user,
+          ...tokens
+        }
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Refresh tokens
+ *     description: Exchange a valid refresh token for a new token pair. The old refresh token is revoked.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/refresh",
+  [
+    body("refreshToken")
+      .notEmpty()
+      .withMessage("Refresh token is required")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    let payload;
+    try {
+      payload = verifyToken(req.body.refreshToken, 'refresh');
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token"
+      });
+    }
+
+    try {
+      // Remove the presented token; if it was not stored it has been revoked
+      const hash = hashToken(req.body.refreshToken);
+      const user = await users.findOneAndUpdate(
+        { _id: payload.sub, "refreshTokens.hash": hash },
+        { $pull: { refreshTokens: { hash } } },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: "Refresh token has been revoked"
+        });
+      }
+
+      const tokens = await issueTokens(user);
+
+      res.json({
+        success: true,
+        message: "Tokens refreshed successfully",
+        data: {
+          user,
+          ...tokens
+        }
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log out
+ *     description: Revoke a refresh token so it can no longer be used
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/logout",
+  [
+    body("refreshToken")
+      .notEmpty()
+      .withMessage("Refresh token is required")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const hash = hashToken(req.body.refreshToken);
+      await users.updateOne(
+        { "refreshTokens.hash": hash },
+        { $pull: { refreshTokens: { hash } } }
+      );
+
+      res.json({
+        success: true,
+        message: "Logged out successfully"
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = router;
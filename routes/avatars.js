@@ -0,0 +1,104 @@
+const express = require("express");
+const router = express.Router();
+const { param, validationResult } = require("express-validator");
+const { AvatarError, sendAvatar } = require("../utils/avatars");
+const { THUMBNAIL_SIZES } = require("../config/avatars");
+
+// Thumbnail file names, e.g. large.webp
+const FILES = Object.keys(THUMBNAIL_SIZES).map((size) => `${size}.webp`);
+
+/**
+ * Middleware to handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /avatars/{userId}/{avatarId}/{file}:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get avatar thumbnail
+ *     description: |
+ *       Serve a thumbnail of an avatar uploaded with `POST /users/{userId}/avatar`. These are the URLs
+ *       stored in a user's `picture` and `avatar.thumbnails`. Public, so they work in `<img>` tags, and
+ *       cacheable forever since every upload gets a new `avatarId`.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: avatarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [small.webp, medium.webp, large.webp]
+ *         description: 64, 128 or 256 pixel square thumbnail
+ *     responses:
+ *       200:
+ *         description: The thumbnail
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:userId/:avatarId/:file",
+  [
+    param("userId")
+      .isMongoId()
+      .withMessage("Invalid user ID format"),
+    param("avatarId")
+      .isMongoId()
+      .withMessage("Invalid avatar ID format"),
+    param("file")
+      .isIn(FILES)
+      .withMessage(`File must be one of: ${FILES.join(", ")}`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await sendAvatar(res, {
+        userId: req.params.userId,
+        avatarId: req.params.avatarId,
+        size: req.params.file.replace(/\.webp$/, "")
+      });
+    } catch (err) {
+      if (err instanceof AvatarError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require("express");
+const router = express.Router();
+const { liveness, readiness } = require("../utils/health");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             uptime:
+ *               type: number
+ *               description: Process uptime in seconds
+ *             checks:
+ *               type: object
+ *               description: One entry per check, each with `status` (ok or fail) and its measurements
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [ok, fail]
+ *           example:
+ *             uptime: 5123.4
+ *             checks:
+ *               mongodb: { status: ok, state: connected, latencyMs: 1.2 }
+ *               socketio: { status: ok, listening: true, clients: 12 }
+ *               eventLoop: { status: ok, lagMs: 11.3, thresholdMs: 500 }
+ *               memory: { status: ok, rssMb: 92.5, heapUsedMb: 41.2, heapLimitMb: 4144, heapRatio: 0.01 }
+ */
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     tags: [Health]
+ *     summary: Liveness probe
+ *     description: |
+ *       Checks the process itself: event-loop lag and memory use. Does not depend on MongoDB,
+ *       so a database outage never gets the instance restarted.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Process is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *       503:
+ *         description: Event loop is blocked or memory is exhausted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthCheck'
+ */
+router.get("/live", (req, res) => {
+  const { healthy, checks } = liveness();
+
+  res.set("Cache-Control", "no-store");
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    message: healthy ? "Alive" : "Unhealthy",
+    data: { uptime: Math.round(process.uptime() * 10) / 10, checks }
+  });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     tags: [Health]
+ *     summary: Readiness probe
+ *     description: |
+ *       Checks MongoDB (connection state and a ping), the Socket.io server, event-loop lag and
+ *       memory. Answers 503 while any check fails, including while MongoDB is reconnecting and
+ *       once shutdown has started, so load balancers stop routing to this instance.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *       503:
+ *         description: Not ready; see the failing checks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthCheck'
+ */
+router.get("/ready", async (req, res) => {
+  try {
+    const { ready, checks } = await readiness(req.app.get("io"));
+
+    res.set("Cache-Control", "no-store");
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      message: ready ? "Ready" : "Not ready",
+      data: { uptime: Math.round(process.uptime() * 10) / 10, checks }
+    });
+  } catch (err) {
+    res.status(503).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const Todo = require("../models/todos");
+const Assignment = require("../models/assignments");
+const users = require("../models/users");
+const resources = require("../config/resources");
+const { mergeFilters } = require("../utils/filterQuery");
+const { scopeFilter } = require("../utils/scope");
+const { searchTerms, buildHighlights, MAX_QUERY_LENGTH } = require("../utils/search");
+
+// Collections searched by GET /search, keyed by the `types` query value
+const SEARCH_TYPES = {
+  todos: { Model: Todo, type: "todo" },
+  assignments: { Model: Assignment, type: "assignment" },
+  users: { Model: users, type: "user" }
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Middleware to handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     tags: [Search]
+ *     summary: Search across resources
+ *     description: |
+ *       Full-text search over todo titles/descriptions, assignment titles/content and user names/emails.
+ *       Results from all requested types are merged and ranked by relevance, with highlighted snippets
+ *       (matches wrapped in `<mark>`). Non-admins only find the todos and assignments they own or are
+ *       assigned, and only their own account among users.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: documentation
+ *         description: Search terms (supports "quoted phrases" and -negated words)
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: todos,assignments
+ *         description: Comma separated resource types to search (todos, assignments, users). Defaults to all.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of merged results
+ *     responses:
+ *       200:
+ *         description: Search results ranked by relevance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 query:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 totals:
+ *                   type: object
+ *                   description: Number of matches per resource type
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [todo, assignment, user]
+ *                       score:
+ *                         type: number
+ *                       highlights:
+ *                         type: object
+ *                       data:
+ *                         type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/",
+  [
+    query("q")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_QUERY_LENGTH })
+      .withMessage(`Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`),
+    query("types")
+      .optional()
+      .customSanitizer((value) => String(value).split(",").map((type) => type.trim()).filter(Boolean))
+      .custom((types) => types.length > 0 && types.every((type) => type in SEARCH_TYPES))
+      .withMessage(`Types must be one or more of: ${Object.keys(SEARCH_TYPES).join(", ")}`),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const q = req.query.q;
+      const types = req.query.types || Object.keys(SEARCH_TYPES);
+      const limit = req.query.limit || DEFAULT_LIMIT;
+      const terms = searchTerms(q);
+      const textFilter = { $text: { $search: q } };
+
+      const perType = await Promise.all(types.map(async (name) => {
+        const { Model, type } = SEARCH_TYPES[name];
+        const filter = mergeFilters(textFilter, scopeFilter(name, req.user));
+
+        const [docs, total] = await Promise.all([
+          Model.find(filter, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(limit),
+          Model.countDocuments(filter)
+        ]);
+
+        const results = docs.map((doc) => ({
+          type,
+          id: doc._id,
+          score: doc.get("score"),
+          highlights: buildHighlights(doc, resources[name].searchable, terms),
+          data: doc
+        }));
+
+        return { name, total, results };
+      }));
+
+      const data = perType
+        .flatMap(({ results }) => results)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      res.json({
+        success: true,
+        query: q,
+        count: data.length,
+        totals: Object.fromEntries(perType.map(({ name, total }) => [name, total])),
+        data
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,36 @@ const express = require("express");
 const router = express.Router();
 const { body, param, validationResult } = require("express-validator");
 const Todo = require("../models/todos");
+const Audit = require("../models/audit");
+const { populateValidator, applyPopulate } = require("../utils/populate");
+const { listValidators, paginate } = require("../utils/listQuery");
+const { parseFilters, mergeFilters } = require("../utils/filterQuery");
+const resources = require("../config/resources");
+const { isAdmin, scopeFilter, scopedById } = require("../utils/scope");
+const { userRefValidator, createTodoValidators, updateTodoValidators } = require("../utils/validators");
+const { broadcastChange, broadcastBatch } = require("../socket/broadcast");
+const { requestAudit } = require("../utils/audit");
+const { setETag, versionFilter, preconditionFailed } = require("../utils/concurrency");
+const { bulkValidators, runBulk } = require("../utils/bulk");
+const {
+  ImportError,
+  exportValidators,
+  streamExport,
+  importUpload,
+  importValidators,
+  readUpload,
+  runImport
+} = require("../utils/importExport");
+const {
+  AttachmentError,
+  attachmentUpload,
+  addAttachment,
+  sendAttachment,
+  removeAttachment
+} = require("../utils/attachments");
+
+// User references that can be expanded with ?populate=
+const POPULATE_PATHS = ['owner', 'assignee'];
 
 /**
  * Middleware to handle validation errors
@@ -23,7 +53,13 @@ const handleValidationErrors = (req, res, next) => {
  *   get:
  *     tags: [Todos]
  *     summary: Get all todos
- *     description: Retrieve all todos with optional filtering by completion status and priority
+ *     description: |
+ *       Retrieve the todos you own or are assigned (every todo for admins), with optional filtering.
+ *       
+ *       Filterable fields: `title`, `complete`, `priority`, `dueDate`, `owner`, `assignee`, `createdAt`, `updatedAt`.
+ *       Use `field=value` for equality or `field[op]=value` with `eq`, `ne`, `gt`, `gte`, `lt`, `lte`,
+ *       `in`, `nin`, `between` and `exists` (range operators only apply to dates), e.g.
+ *       `dueDate[lt]=2026-02-01`, `priority[in]=high,medium`, `createdAt[between]=2026-01-01,2026-01-31`.
  *     parameters:
  *       - in: query
  *         name: complete
@@ -36,9 +72,26 @@ const handleValidationErrors = (req, res, next) => {
  *           type: string
  *           enum: [low, medium, high]
  *         description: Filter by priority level
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: Successfully retrieved todos
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 next/prev/first/last page links
  *         content:
  *           application/json:
  *             schema:
@@ -48,39 +101,212 @@ const handleValidationErrors = (req, res, next) => {
  *                   type: boolean
  *                 count:
  *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Todo'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get("/", async (req, res) => {
-  try {
-    const { complete, priority } = req.query;
-    const filter = {};
-    
-    if (complete !== undefined) {
-      filter.complete = complete === 'true';
+router.get(
+  "/",
+  [populateValidator(POPULATE_PATHS), ...listValidators(resources.todos)],
+  handleValidationErrors,
+  parseFilters(resources.todos.filterable),
+  async (req, res) => {
+    try {
+      const result = await paginate(req, res, {
+        Model: Todo,
+        filter: mergeFilters(scopeFilter("todos", req.user), req.filter),
+        config: resources.todos
+      });
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
     }
-    
-    if (priority) {
-      filter.priority = priority;
+  }
+);
+
+/**
+ * @swagger
+ * /todos/export:
+ *   get:
+ *     tags: [Todos]
+ *     summary: Export todos
+ *     description: |
+ *       Stream every matching todo as a CSV, JSON or NDJSON download.
+ *       Covers the same todos and accepts the same filters as `GET /todos`; `q`, `sort` and `fields` work as on the list endpoint.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: json
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Todo'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/export",
+  exportValidators(resources.todos),
+  handleValidationErrors,
+  parseFilters(resources.todos.filterable),
+  async (req, res) => {
+    try {
+      await streamExport(req, res, {
+        Model: Todo,
+        filter: mergeFilters(scopeFilter("todos", req.user), req.filter),
+        config: resources.todos,
+        name: "todos"
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
     }
+  }
+);
 
-    const todos = await Todo.find(filter).sort({ createdAt: -1 });
-    res.json({
-      success: true,
-      count: todos.length,
-      data: todos
-    });
-  } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+/**
+ * @swagger
+ * /todos/import:
+ *   post:
+ *     tags: [Todos]
+ *     summary: Import todos from a file
+ *     description: |
+ *       Upload a CSV (header row with field names), JSON array or NDJSON file as the multipart field `file`
+ *       (max 5 MB, 5000 rows). Every row is validated with the same rules as `POST /todos` and the response
+ *       lists the result per row. Valid rows are created even when other rows fail.
+ *       
+ *       Set `dryRun=true` to only validate.
+ *       
+ *       **Socket.io Integration:** Imported todos are broadcast as a single `todo:bulk` (and the legacy `bulk`) event.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate without saving anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *         description: File format, detected from the file name or type when omitted
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Row-by-row import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/import",
+  importUpload,
+  importValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const records = readUpload(req.file, req.query.format);
+      const { results, summary, added } = await runImport({
+        Model: Todo,
+        records,
+        validators: createTodoValidators,
+        fields: resources.todos.writable,
+        owner: { field: 'owner', id: req.user.id },
+        audit: requestAudit(req),
+        dryRun: req.query.dryRun
+      });
+
+      // One batched Socket.io event for all imported todos
+      if (added.length > 0) {
+        broadcastBatch(req.app.get('io'), 'todo', { added });
+      }
+
+      res.json({
+        success: summary.invalid === 0,
+        message: req.query.dryRun
+          ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+          : `Imported ${summary.imported} of ${summary.total} rows`,
+        dryRun: Boolean(req.query.dryRun),
+        summary,
+        data: results
+      });
+    } catch (err) {
+      if (err instanceof ImportError) {
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -96,9 +322,18 @@ router.get("/", async (req, res) => {
  *         schema:
  *           type: string
  *         description: MongoDB ObjectId of the todo
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
  *     responses:
  *       200:
  *         description: Successfully retrieved todo
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -110,6 +345,8 @@ router.get("/", async (req, res) => {
  *                   $ref: '#/components/schemas/Todo'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -120,12 +357,16 @@ router.get(
   [
     param("todoId")
       .isMongoId()
-      .withMessage("Invalid todo ID format")
+      .withMessage("Invalid todo ID format"),
+    populateValidator(POPULATE_PATHS)
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const todo = await Todo.findById(req.params.todoId);
+      const todo = await applyPopulate(
+        Todo.findOne(scopedById("todos", req.user, req.params.todoId)),
+        req.query.populate
+      );
       
       if (!todo) {
         return res.status(404).json({
@@ -134,6 +375,7 @@ router.get(
         });
       }
 
+      setETag(res, todo);
       res.json({
         success: true,
         data: todo
@@ -156,7 +398,7 @@ router.get(
  *     description: |
  *       Create a new todo item with validation.
  *       
- *       **Socket.io Integration:** This endpoint automatically emits a `added` event to all connected Socket.io clients when a todo is created.
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:added` (and the legacy `added`) events to the Socket.io rooms of the owning user (and admins) when a todo is created.
  *     requestBody:
  *       required: true
  *       content:
@@ -186,6 +428,10 @@ router.get(
  *                 type: string
  *                 format: date-time
  *                 example: 2026-01-25T00:00:00.000Z
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       201:
  *         description: Todo created successfully
@@ -202,36 +448,14 @@ router.get(
  *                   $ref: '#/components/schemas/Todo'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 router.post(
   "/",
-  [
-    body("title")
-      .trim()
-      .notEmpty()
-      .withMessage("Title is required")
-      .isLength({ min: 3, max: 200 })
-      .withMessage("Title must be between 3 and 200 characters"),
-    body("description")
-      .optional()
-      .trim()
-      .isLength({ max: 1000 })
-      .withMessage("Description cannot exceed 1000 characters"),
-    body("complete")
-      .optional()
-      .isBoolean()
-      .withMessage("Complete must be a boolean value"),
-    body("priority")
-      .optional()
-      .isIn(['low', 'medium', 'high'])
-      .withMessage("Priority must be low, medium, or high"),
-    body("dueDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Due date must be a valid date")
-  ],
+  createTodoValidators,
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -240,17 +464,17 @@ router.post(
         description: req.body.description,
         complete: req.body.complete || false,
         priority: req.body.priority || 'medium',
-        dueDate: req.body.dueDate
+        dueDate: req.body.dueDate,
+        assignee: req.body.assignee,
+        owner: req.user.id
       });
 
-      const savedTodo = await todo.save();
+      const savedTodo = await todo.save({ audit: requestAudit(req) });
       
       // Emit Socket.io event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('added', savedTodo);
-      }
+      broadcastChange(req.app.get('io'), 'todo', 'added', savedTodo);
       
+      setETag(res, savedTodo);
       res.status(201).json({
         success: true,
         message: "Todo created successfully",
@@ -265,6 +489,118 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /todos/bulk:
+ *   post:
+ *     tags: [Todos]
+ *     summary: Bulk create, update and delete todos
+ *     description: |
+ *       Apply up to 1000 mixed `insert`, `update` and `delete` operations in one request.
+ *       Each operation gets its own result with an HTTP-style `status` and either `data` or `error`.
+ *       Updates may carry the expected `version` (`__v`) and fail with 412 if it is stale.
+ *       
+ *       With `atomic: true` the batch runs in a MongoDB transaction (replica set required): the first
+ *       failure rolls everything back, the response is 400 and the other operations report 424.
+ *       
+ *       **Socket.io Integration:** Successful changes are broadcast as a single `todo:bulk` (and the legacy `bulk`) event
+ *       with `{ added, updated, deleted }` arrays instead of one event per document.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [insert, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Required for update and delete
+ *                     version:
+ *                       type: integer
+ *                       description: Expected document version for updates
+ *                     data:
+ *                       type: object
+ *                       description: Fields to insert or update
+ *           example:
+ *             atomic: false
+ *             operations:
+ *               - { "op": "insert", "data": { "title": "Write report", "priority": "high" } }
+ *               - { "op": "update", "id": "665f1c2e8b3a4d0012345678", "version": 2, "data": { "complete": true } }
+ *               - { "op": "delete", "id": "665f1c2e8b3a4d0012345679" }
+ *     responses:
+ *       200:
+ *         description: Operations processed; check each result for failures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       400:
+ *         description: Validation error, or an atomic batch was rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/bulk",
+  bulkValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { results, summary, changes, rolledBack } = await runBulk({
+        Model: Todo,
+        label: "Todo",
+        operations: req.body.operations,
+        atomic: req.body.atomic,
+        fields: resources.todos.writable,
+        createValidators: createTodoValidators,
+        updateValidators: updateTodoValidators,
+        references: ['assignee'],
+        owner: { field: 'owner', id: req.user.id },
+        scope: scopeFilter("todos", req.user),
+        audit: requestAudit(req)
+      });
+
+      // One batched Socket.io event instead of one per document
+      broadcastBatch(req.app.get('io'), 'todo', changes);
+
+      res.status(rolledBack ? 400 : 200).json({
+        success: summary.failed === 0,
+        message: rolledBack
+          ? "Bulk operation rolled back, no todos were changed"
+          : `Processed ${summary.total} operations, ${summary.failed} failed`,
+        summary,
+        data: results
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /todos/{todoId}:
@@ -274,13 +610,14 @@ router.post(
  *     description: |
  *       Replace all todo fields with new values.
  *       
- *       **Socket.io Integration:** This endpoint automatically emits an `updated` event to all connected Socket.io clients when a todo is updated.
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:updated` (and the legacy `updated`) events to the Socket.io rooms of the owning user (and admins) when a todo is updated.
  *     parameters:
  *       - in: path
  *         name: todoId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -303,13 +640,21 @@ router.post(
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       200:
  *         description: Todo updated successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -331,25 +676,32 @@ router.put(
     body("priority")
       .optional()
       .isIn(['low', 'medium', 'high'])
-      .withMessage("Priority must be low, medium, or high")
+      .withMessage("Priority must be low, medium, or high"),
+    userRefValidator("assignee")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const updatedTodo = await Todo.findByIdAndUpdate(
-        req.params.todoId,
+      const updatedTodo = await Todo.findOneAndUpdate(
+        scopedById("todos", req.user, req.params.todoId, versionFilter(req)),
         {
           title: req.body.title,
           description: req.body.description,
           complete: req.body.complete,
           priority: req.body.priority || 'medium',
           dueDate: req.body.dueDate,
+          assignee: req.body.assignee,
           updatedAt: Date.now()
         },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedTodo) {
+        // Either the document is gone or If-Match named an older version
+        const current = await Todo.findOne(scopedById("todos", req.user, req.params.todoId));
+        if (current) {
+          return preconditionFailed(res, current, "Todo");
+        }
         return res.status(404).json({
           success: false,
           error: "Todo not found"
@@ -357,11 +709,9 @@ router.put(
       }
 
       // Emit Socket.io event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('updated', updatedTodo);
-      }
+      broadcastChange(req.app.get('io'), 'todo', 'updated', updatedTodo);
 
+      setETag(res, updatedTodo);
       res.json({
         success: true,
         message: "Todo updated successfully",
@@ -385,13 +735,14 @@ router.put(
  *     description: |
  *       Update only specified fields of a todo.
  *       
- *       **Socket.io Integration:** This endpoint automatically emits an `updated` event to all connected Socket.io clients when a todo is updated.
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:updated` (and the legacy `updated`) events to the Socket.io rooms of the owning user (and admins) when a todo is updated.
  *     parameters:
  *       - in: path
  *         name: todoId
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -411,13 +762,21 @@ router.put(
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: MongoDB ObjectId of the user the item is assigned to
  *     responses:
  *       200:
  *         description: Todo updated successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -427,19 +786,7 @@ router.patch(
     param("todoId")
       .isMongoId()
       .withMessage("Invalid todo ID format"),
-    body("title")
-      .optional()
-      .trim()
-      .isLength({ min: 3, max: 200 })
-      .withMessage("Title must be between 3 and 200 characters"),
-    body("complete")
-      .optional()
-      .isBoolean()
-      .withMessage("Complete must be a boolean value"),
-    body("priority")
-      .optional()
-      .isIn(['low', 'medium', 'high'])
-      .withMessage("Priority must be low, medium, or high")
+    ...updateTodoValidators
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -450,15 +797,21 @@ router.patch(
       if (req.body.complete !== undefined) updateFields.complete = req.body.complete;
       if (req.body.priority !== undefined) updateFields.priority = req.body.priority;
       if (req.body.dueDate !== undefined) updateFields.dueDate = req.body.dueDate;
+      if (req.body.assignee !== undefined) updateFields.assignee = req.body.assignee;
       updateFields.updatedAt = Date.now();
 
-      const updatedTodo = await Todo.findByIdAndUpdate(
-        req.params.todoId,
+      const updatedTodo = await Todo.findOneAndUpdate(
+        scopedById("todos", req.user, req.params.todoId, versionFilter(req)),
         { $set: updateFields },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedTodo) {
+        // Either the document is gone or If-Match named an older version
+        const current = await Todo.findOne(scopedById("todos", req.user, req.params.todoId));
+        if (current) {
+          return preconditionFailed(res, current, "Todo");
+        }
         return res.status(404).json({
           success: false,
           error: "Todo not found"
@@ -466,11 +819,9 @@ router.patch(
       }
 
       // Emit Socket.io event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('updated', updatedTodo);
-      }
+      broadcastChange(req.app.get('io'), 'todo', 'updated', updatedTodo);
 
+      setETag(res, updatedTodo);
       res.json({
         success: true,
         message: "Todo updated successfully",
@@ -492,9 +843,10 @@ router.patch(
  *     tags: [Todos]
  *     summary: Delete todo
  *     description: |
- *       Remove a todo from the database.
+ *       Move a todo to the trash. It is hidden from normal queries until restored with
+ *       `POST /todos/{todoId}/restore`, or permanently removed once the trash retention period ends.
  *       
- *       **Socket.io Integration:** This endpoint automatically emits a `deleted` event to all connected Socket.io clients when a todo is deleted.
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:deleted` (and the legacy `deleted`) events to the Socket.io rooms of the owning user (and admins) when a todo is deleted.
  *     parameters:
  *       - in: path
  *         name: todoId
@@ -506,6 +858,8 @@ router.patch(
  *         description: Todo deleted successfully
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -521,7 +875,7 @@ router.delete(
   handleValidationErrors,
   async (req, res) => {
     try {
-      const removedTodo = await Todo.findByIdAndDelete(req.params.todoId);
+      const removedTodo = await Todo.softDelete(scopedById("todos", req.user, req.params.todoId), { audit: requestAudit(req) });
 
       if (!removedTodo) {
         return res.status(404).json({
@@ -531,10 +885,7 @@ router.delete(
       }
 
       // Emit Socket.io event for real-time updates
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('deleted', { id: req.params.todoId });
-      }
+      broadcastChange(req.app.get('io'), 'todo', 'deleted', removedTodo, { id: req.params.todoId });
 
       res.json({
         success: true,
@@ -550,4 +901,421 @@ router.delete(
   }
 );
 
+
+/**
+ * @swagger
+ * /todos/{todoId}/restore:
+ *   post:
+ *     tags: [Todos]
+ *     summary: Restore todo from the trash
+ *     description: |
+ *       Bring a soft-deleted todo back.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:restored` (and the legacy `restored`) events to the Socket.io rooms of the owning user (and admins) when a todo is restored.
+ *     parameters:
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Todo restored successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Todo not found in the trash
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:todoId/restore",
+  [
+    param("todoId")
+      .isMongoId()
+      .withMessage("Invalid todo ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const restoredTodo = await Todo.restore(scopedById("todos", req.user, req.params.todoId), { audit: requestAudit(req) });
+
+      if (!restoredTodo) {
+        return res.status(404).json({
+          success: false,
+          error: "Todo not found in trash"
+        });
+      }
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'todo', 'restored', restoredTodo);
+
+      res.json({
+        success: true,
+        message: "Todo restored successfully",
+        data: restoredTodo
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /todos/{todoId}/attachments:
+ *   post:
+ *     tags: [Todos]
+ *     summary: Upload todo attachment
+ *     description: |
+ *       Attach a file to a todo (multipart field `file`). The file's metadata is added to the todo's `attachments`.
+ *       Files are limited to ATTACHMENT_MAX_MB (default 10 MB) and the types in ATTACHMENT_MIME_TYPES,
+ *       and a todo holds at most ATTACHMENT_MAX_PER_DOCUMENT (default 20) attachments.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:updated` (and the legacy `updated`) events to the Socket.io rooms of the owning user (and admins) when an attachment is added.
+ *     parameters:
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Missing file, file too large or type not allowed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The todo already has the maximum number of attachments
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:todoId/attachments",
+  [
+    param("todoId")
+      .isMongoId()
+      .withMessage("Invalid todo ID format")
+  ],
+  handleValidationErrors,
+  attachmentUpload,
+  async (req, res) => {
+    try {
+      const { doc, attachment } = await addAttachment({
+        Model: Todo,
+        id: req.params.todoId,
+        file: req.file,
+        label: "Todo",
+        uploadedBy: req.user.id,
+        scope: scopeFilter("todos", req.user),
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'todo', 'updated', doc);
+
+      res.status(201).json({
+        success: true,
+        message: "Attachment uploaded successfully",
+        data: attachment
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /todos/{todoId}/attachments/{attachmentId}:
+ *   get:
+ *     tags: [Todos]
+ *     summary: Download todo attachment
+ *     description: Download an attached file with its original filename and content type.
+ *     parameters:
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:todoId/attachments/:attachmentId",
+  [
+    param("todoId")
+      .isMongoId()
+      .withMessage("Invalid todo ID format"),
+    param("attachmentId")
+      .isMongoId()
+      .withMessage("Invalid attachment ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await sendAttachment(res, {
+        Model: Todo,
+        id: req.params.todoId,
+        attachmentId: req.params.attachmentId,
+        label: "Todo",
+        scope: scopeFilter("todos", req.user)
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /todos/{todoId}/attachments/{attachmentId}:
+ *   delete:
+ *     tags: [Todos]
+ *     summary: Delete todo attachment
+ *     description: |
+ *       Remove an attachment from a todo and delete its file. Only the uploader, the todo's owner or an
+ *       admin may remove it.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits `todo:updated` (and the legacy `updated`) events to the Socket.io rooms of the owning user (and admins) when an attachment is removed.
+ *     parameters:
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the uploader, the owner or an admin may remove the attachment
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete(
+  "/:todoId/attachments/:attachmentId",
+  [
+    param("todoId")
+      .isMongoId()
+      .withMessage("Invalid todo ID format"),
+    param("attachmentId")
+      .isMongoId()
+      .withMessage("Invalid attachment ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doc, attachment } = await removeAttachment({
+        Model: Todo,
+        id: req.params.todoId,
+        attachmentId: req.params.attachmentId,
+        label: "Todo",
+        user: req.user,
+        scope: scopeFilter("todos", req.user),
+        audit: requestAudit(req)
+      });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'todo', 'updated', doc);
+
+      res.json({
+        success: true,
+        message: "Attachment deleted successfully",
+        data: attachment
+      });
+    } catch (err) {
+      if (err instanceof AttachmentError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /todos/{todoId}/history:
+ *   get:
+ *     tags: [Todos]
+ *     summary: Get todo change history
+ *     description: |
+ *       Audit entries for a todo, newest first. Each entry records the actor, the source (REST, socket or system)
+ *       and a field-level diff. History is kept after the todo is deleted or purged;
+ *       once purged, only admins can read it. Non-admins get 404 for todos outside their scope.
+ *       
+ *       Accepts the same filters as `GET /audit`, e.g. `action=update&changes.field=title`.
+ *     parameters:
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the todo
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: actor
+ *         description: Set to `actor` to expand the acting user
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved todo history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:todoId/history",
+  [
+    param("todoId")
+      .isMongoId()
+      .withMessage("Invalid todo ID format"),
+    populateValidator(['actor']),
+    ...listValidators(resources.audits)
+  ],
+  handleValidationErrors,
+  parseFilters(resources.audits.filterable),
+  async (req, res) => {
+    try {
+      // Others only get the history of todos in their scope, including trashed ones;
+      // admins also get it for purged todos
+      if (!isAdmin(req.user)) {
+        const visible = await Todo.exists(scopedById("todos", req.user, req.params.todoId))
+          .setOptions({ withDeleted: true });
+        if (!visible) {
+          return res.status(404).json({
+            success: false,
+            error: "Todo not found"
+          });
+        }
+      }
+
+      const result = await paginate(req, res, {
+        Model: Audit,
+        filter: mergeFilters(
+          { resource: "todo", documentId: req.params.todoId },
+          req.filter
+        ),
+        config: resources.audits
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,167 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const Todo = require("../models/todos");
+const Assignment = require("../models/assignments");
+const users = require("../models/users");
+const { retentionDays, retentionMs } = require("../config/trash");
+const { isAdmin, scopeFilter } = require("../utils/scope");
+
+// Collections with a trash bin, keyed by the `type` query value
+const TRASH_TYPES = {
+  todos: { Model: Todo, type: "todo" },
+  assignments: { Model: Assignment, type: "assignment" },
+  // Deleted accounts cannot sign in, so only admins get to see and restore them
+  users: { Model: users, type: "user", adminOnly: true }
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Middleware to handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List soft-deleted items
+ *     description: |
+ *       Retrieve deleted todos, assignments and users, most recently deleted first.
+ *       Users only see the deleted todos and assignments they own or are assigned; deleted users
+ *       are listed for admins only.
+ *       Each item can be brought back with `POST /{resource}/{id}/restore` until its `purgeAt` date,
+ *       after which the purge job removes it permanently.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [todos, assignments, users]
+ *         description: Only list one resource type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of items
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 retentionDays:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [todo, assignment, user]
+ *                       id:
+ *                         type: string
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *                       data:
+ *                         type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only admins may list deleted users
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/",
+  [
+    query("type")
+      .optional()
+      .isIn(Object.keys(TRASH_TYPES))
+      .withMessage(`Type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const allowed = Object.keys(TRASH_TYPES)
+        .filter((name) => isAdmin(req.user) || !TRASH_TYPES[name].adminOnly);
+      if (req.query.type && !allowed.includes(req.query.type)) {
+        return res.status(403).json({
+          success: false,
+          error: "Insufficient permissions"
+        });
+      }
+
+      const types = req.query.type ? [req.query.type] : allowed;
+      const limit = req.query.limit || DEFAULT_LIMIT;
+
+      const perType = await Promise.all(types.map(async (name) => {
+        const { Model, type } = TRASH_TYPES[name];
+        // deletedAt stays a top-level key so the soft-delete plugin leaves the filter alone
+        const docs = await Model.find({ ...scopeFilter(name, req.user), deletedAt: { $ne: null } })
+          .sort({ deletedAt: -1 })
+          .limit(limit);
+
+        return docs.map((doc) => ({
+          type,
+          id: doc._id,
+          deletedAt: doc.deletedAt,
+          purgeAt: new Date(doc.deletedAt.getTime() + retentionMs),
+          data: doc
+        }));
+      }));
+
+      const data = perType
+        .flat()
+        .sort((a, b) => b.deletedAt - a.deletedAt)
+        .slice(0, limit);
+
+      res.json({
+        success: true,
+        count: data.length,
+        retentionDays,
+        data
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,31 @@
 const express = require("express");
 const router = express.Router();
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const users = require("../models/users");
+const Todo = require("../models/todos");
+const Assignment = require("../models/assignments");
+const Audit = require("../models/audit");
+const { populateValidator } = require("../utils/populate");
+const { listValidators, paginate } = require("../utils/listQuery");
+const { parseFilters, mergeFilters } = require("../utils/filterQuery");
+const resources = require("../config/resources");
+const { isAdmin, scopeFilter, scopedById } = require("../utils/scope");
+const { pictureValidator, createUserValidators, updateUserValidators } = require("../utils/validators");
+const { broadcastChange, broadcastBatch } = require("../socket/broadcast");
+const { requestAudit } = require("../utils/audit");
+const { setETag, versionFilter, preconditionFailed } = require("../utils/concurrency");
+const { bulkValidators, runBulk } = require("../utils/bulk");
+const {
+  ImportError,
+  exportValidators,
+  streamExport,
+  importUpload,
+  importValidators,
+  readUpload,
+  runImport
+} = require("../utils/importExport");
+const { AvatarError, avatarUpload, createAvatar, removeAvatar } = require("../utils/avatars");
+const { requireRole, requireSelfOrAdmin } = require("../middleware/auth");
 
 /**
  * Middleware to handle validation errors
@@ -17,16 +41,56 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Validation shared by the /users/:userId/* sub-resources
+ */
+const userRelationValidators = [
+  param("userId")
+    .isMongoId()
+    .withMessage("Invalid user ID format"),
+  query("relation")
+    .optional()
+    .isIn(['owner', 'assignee'])
+    .withMessage("Relation must be owner or assignee"),
+  populateValidator(['owner', 'assignee'])
+];
+
+// List query validators for each sub-resource
+const todoListValidators = [...userRelationValidators, ...listValidators(resources.todos)];
+const assignmentListValidators = [...userRelationValidators, ...listValidators(resources.assignments)];
+
+/**
+ * Build the filter for documents a user owns and/or is assigned to
+ */
+const relationFilter = (userId, relation) => {
+  if (relation) {
+    return { [relation]: userId };
+  }
+  return { $or: [{ owner: userId }, { assignee: userId }] };
+};
+
 /**
  * @swagger
  * /users:
  *   get:
  *     tags: [Users]
  *     summary: Get all users
- *     description: Retrieve a list of all users in the database
+ *     description: Retrieve a paginated list of users. Admins see every user; other users only get their own account.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Search'
  *     responses:
  *       200:
  *         description: Successfully retrieved all users
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 next/prev/first/last page links
  *         content:
  *           application/json:
  *             schema:
@@ -38,28 +102,212 @@ const handleValidationErrors = (req, res, next) => {
  *                 count:
  *                   type: integer
  *                   example: 10
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get("/", async (req, res) => {
-  try {
-    const allUsers = await users.find().sort({ createdAt: -1 });
-    res.json({
-      success: true,
-      count: allUsers.length,
-      data: allUsers
-    });
-  } catch (err) {
-    res.status(500).json({
-      success: false,
-      error: err.message
-    });
+router.get(
+  "/",
+  listValidators(resources.users),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await paginate(req, res, {
+        Model: users,
+        filter: scopeFilter("users", req.user),
+        config: resources.users
+      });
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/export:
+ *   get:
+ *     tags: [Users]
+ *     summary: Export users
+ *     description: |
+ *       Stream every matching user as a CSV, JSON or NDJSON download.
+ *       Like `GET /users`, non-admins only get their own account; `q`, `sort` and `fields` work as on the list endpoint.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *           default: json
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/export",
+  exportValidators(resources.users),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await streamExport(req, res, {
+        Model: users,
+        filter: scopeFilter("users", req.user),
+        config: resources.users,
+        name: "users"
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
   }
-});
+);
+
+/**
+ * @swagger
+ * /users/import:
+ *   post:
+ *     tags: [Users]
+ *     summary: Import users from a file
+ *     description: |
+ *       Upload a CSV (header row with field names), JSON array or NDJSON file as the multipart field `file`
+ *       (max 5 MB, 5000 rows). Every row is validated with the same rules as `POST /users` and the response
+ *       lists the result per row. Valid rows are created even when other rows fail. Admin only.
+ *       
+ *       Set `dryRun=true` to only validate.
+ *       
+ *       **Socket.io Integration:** Imported users are broadcast as a single `user:bulk` event.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate without saving anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson]
+ *         description: File format, detected from the file name or type when omitted
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Row-by-row import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/import",
+  requireRole("admin"),
+  importUpload,
+  importValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const records = readUpload(req.file, req.query.format);
+      const { results, summary, added } = await runImport({
+        Model: users,
+        records,
+        validators: createUserValidators,
+        fields: resources.users.writable,
+        audit: requestAudit(req),
+        dryRun: req.query.dryRun
+      });
+
+      // One batched Socket.io event for all imported users
+      if (added.length > 0) {
+        broadcastBatch(req.app.get('io'), 'user', { added });
+      }
+
+      res.json({
+        success: summary.invalid === 0,
+        message: req.query.dryRun
+          ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+          : `Imported ${summary.imported} of ${summary.total} rows`,
+        dryRun: Boolean(req.query.dryRun),
+        summary,
+        data: results
+      });
+    } catch (err) {
+      if (err instanceof ImportError) {
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
 
 /**
  * @swagger
@@ -67,7 +315,7 @@ router.get("/", async (req, res) => {
  *   get:
  *     tags: [Users]
  *     summary: Get user by ID
- *     description: Retrieve a specific user by their MongoDB ObjectId
+ *     description: Retrieve a specific user by their MongoDB ObjectId. Regular users can only read their own profile; anyone else answers 404.
  *     parameters:
  *       - in: path
  *         name: userId
@@ -78,6 +326,9 @@ router.get("/", async (req, res) => {
  *     responses:
  *       200:
  *         description: Successfully retrieved user
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -90,6 +341,8 @@ router.get("/", async (req, res) => {
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -105,8 +358,8 @@ router.get(
   handleValidationErrors,
   async (req, res) => {
     try {
-      const specificUser = await users.findById(req.params.userId);
-      
+      const specificUser = await users.findOne(scopedById("users", req.user, req.params.userId));
+
       if (!specificUser) {
         return res.status(404).json({
           success: false,
@@ -114,6 +367,7 @@ router.get(
         });
       }
 
+      setETag(res, specificUser);
       res.json({
         success: true,
         data: specificUser
@@ -127,13 +381,190 @@ router.get(
   }
 );
 
+/**
+ * @swagger
+ * /users/{userId}/todos:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get todos linked to a user
+ *     description: Retrieve the todos a user owns or is assigned to. Only that user and admins may list them.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *       - in: query
+ *         name: relation
+ *         schema:
+ *           type: string
+ *           enum: [owner, assignee]
+ *         description: Only return todos the user owns, or only those assigned to them
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved todos
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 next/prev/first/last page links
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:userId/todos",
+  todoListValidators,
+  handleValidationErrors,
+  requireSelfOrAdmin(),
+  parseFilters(resources.todos.filterable),
+  async (req, res) => {
+    try {
+      const userExists = await users.exists({ _id: req.params.userId });
+
+      if (!userExists) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found"
+        });
+      }
+
+      const result = await paginate(req, res, {
+        Model: Todo,
+        filter: mergeFilters(relationFilter(req.params.userId, req.query.relation), req.filter),
+        config: resources.todos
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/{userId}/assignments:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get assignments linked to a user
+ *     description: Retrieve the assignments a user owns or is assigned to. Only that user and admins may list them.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *       - in: query
+ *         name: relation
+ *         schema:
+ *           type: string
+ *           enum: [owner, assignee]
+ *         description: Only return assignments the user owns, or only those assigned to them
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: owner,assignee
+ *         description: Comma separated user references to populate (owner, assignee)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Search'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved assignments
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 next/prev/first/last page links
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:userId/assignments",
+  assignmentListValidators,
+  handleValidationErrors,
+  requireSelfOrAdmin(),
+  parseFilters(resources.assignments.filterable),
+  async (req, res) => {
+    try {
+      const userExists = await users.exists({ _id: req.params.userId });
+
+      if (!userExists) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found"
+        });
+      }
+
+      const result = await paginate(req, res, {
+        Model: Assignment,
+        filter: mergeFilters(relationFilter(req.params.userId, req.query.relation), req.filter),
+        config: resources.assignments
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /users:
  *   post:
  *     tags: [Users]
  *     summary: Create a new user
- *     description: Create a new user with validation
+ *     description: |
+ *       Create a new user with validation. Admin only.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:added` event to the Socket.io rooms of the owning user (and admins) when a user is created.
  *     requestBody:
  *       required: true
  *       content:
@@ -143,7 +574,6 @@ router.get(
  *             required:
  *               - first_name
  *               - last_name
- *               - picture
  *             properties:
  *               first_name:
  *                 type: string
@@ -157,6 +587,8 @@ router.get(
  *                 example: Doe
  *               picture:
  *                 type: string
+ *                 format: uri
+ *                 description: https URL of the profile picture; set automatically by POST /users/{userId}/avatar
  *                 example: https://example.com/photo.jpg
  *               email:
  *                 type: string
@@ -180,35 +612,19 @@ router.get(
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Admin role required
+ *       409:
+ *         description: Email is already registered
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 router.post(
   "/",
-  [
-    body("first_name")
-      .trim()
-      .notEmpty()
-      .withMessage("First name is required")
-      .isLength({ min: 2, max: 50 })
-      .withMessage("First name must be between 2 and 50 characters"),
-    body("last_name")
-      .trim()
-      .notEmpty()
-      .withMessage("Last name is required")
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Last name must be between 2 and 50 characters"),
-    body("picture")
-      .trim()
-      .notEmpty()
-      .withMessage("Picture URL is required"),
-    body("email")
-      .optional()
-      .trim()
-      .isEmail()
-      .withMessage("Must be a valid email address")
-      .normalizeEmail()
-  ],
+  requireRole("admin"),
+  createUserValidators,
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -219,12 +635,136 @@ router.post(
         email: req.body.email
       });
 
-      const savedUser = await user_obj.save();
+      const savedUser = await user_obj.save({ audit: requestAudit(req) });
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'added', savedUser);
+
+      setETag(res, savedUser);
       res.status(201).json({
         success: true,
         message: "User created successfully",
         data: savedUser
       });
+    } catch (err) {
+      // The unique index also covers users in the trash, which queries do not see
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "Email is already registered"
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/bulk:
+ *   post:
+ *     tags: [Users]
+ *     summary: Bulk create, update and delete users
+ *     description: |
+ *       Apply up to 1000 mixed `insert`, `update` and `delete` operations in one request. Admin only.
+ *       Each operation gets its own result with an HTTP-style `status` and either `data` or `error`.
+ *       Updates may carry the expected `version` (`__v`) and fail with 412 if it is stale.
+ *       
+ *       With `atomic: true` the batch runs in a MongoDB transaction (replica set required): the first
+ *       failure rolls everything back, the response is 400 and the other operations report 424.
+ *       
+ *       **Socket.io Integration:** Successful changes are broadcast as a single `user:bulk` event
+ *       with `{ added, updated, deleted }` arrays instead of one event per document.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [insert, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Required for update and delete
+ *                     version:
+ *                       type: integer
+ *                       description: Expected document version for updates
+ *                     data:
+ *                       type: object
+ *                       description: Fields to insert or update
+ *           example:
+ *             atomic: false
+ *             operations:
+ *               - { "op": "insert", "data": { "first_name": "Jane", "last_name": "Doe", "picture": "https://example.com/jane.jpg" } }
+ *               - { "op": "update", "id": "665f1c2e8b3a4d0012345678", "data": { "last_name": "Smith" } }
+ *               - { "op": "delete", "id": "665f1c2e8b3a4d0012345679" }
+ *     responses:
+ *       200:
+ *         description: Operations processed; check each result for failures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       400:
+ *         description: Validation error, or an atomic batch was rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/bulk",
+  requireRole("admin"),
+  bulkValidators(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { results, summary, changes, rolledBack } = await runBulk({
+        Model: users,
+        label: "User",
+        operations: req.body.operations,
+        atomic: req.body.atomic,
+        fields: resources.users.writable,
+        createValidators: createUserValidators,
+        updateValidators: updateUserValidators,
+        audit: requestAudit(req)
+      });
+
+      // One batched Socket.io event instead of one per document
+      broadcastBatch(req.app.get('io'), 'user', changes);
+
+      res.status(rolledBack ? 400 : 200).json({
+        success: summary.failed === 0,
+        message: rolledBack
+          ? "Bulk operation rolled back, no users were changed"
+          : `Processed ${summary.total} operations, ${summary.failed} failed`,
+        summary,
+        data: results
+      });
     } catch (err) {
       res.status(500).json({
         success: false,
@@ -240,7 +780,10 @@ router.post(
  *   put:
  *     tags: [Users]
  *     summary: Update entire user (replace all fields)
- *     description: Replace all user fields with new values
+ *     description: |
+ *       Replace all user fields with new values.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:updated` event to the Socket.io rooms of the owning user (and admins) when a user is updated.
  *     parameters:
  *       - in: path
  *         name: userId
@@ -248,6 +791,7 @@ router.post(
  *         schema:
  *           type: string
  *         description: MongoDB ObjectId of the user
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -257,7 +801,6 @@ router.post(
  *             required:
  *               - first_name
  *               - last_name
- *               - picture
  *             properties:
  *               first_name:
  *                 type: string
@@ -269,6 +812,8 @@ router.post(
  *                 maxLength: 50
  *               picture:
  *                 type: string
+ *                 format: uri
+ *                 description: https URL of the profile picture; set automatically by POST /users/{userId}/avatar
  *               email:
  *                 type: string
  *                 format: email
@@ -288,8 +833,16 @@ router.post(
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: Email is already registered
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -311,10 +864,7 @@ router.put(
       .withMessage("Last name is required")
       .isLength({ min: 2, max: 50 })
       .withMessage("Last name must be between 2 and 50 characters"),
-    body("picture")
-      .trim()
-      .notEmpty()
-      .withMessage("Picture URL is required"),
+    pictureValidator(),
     body("email")
       .optional()
       .trim()
@@ -323,33 +873,51 @@ router.put(
       .normalizeEmail()
   ],
   handleValidationErrors,
+  requireSelfOrAdmin(),
   async (req, res) => {
     try {
-      const updatedUser = await users.findByIdAndUpdate(
-        req.params.userId,
-        {
-          first_name: req.body.first_name,
-          last_name: req.body.last_name,
-          picture: req.body.picture,
-          email: req.body.email,
-          updatedAt: Date.now()
-        },
-        { new: true, runValidators: true }
+      const update = {
+        first_name: req.body.first_name,
+        last_name: req.body.last_name,
+        picture: req.body.picture,
+        email: req.body.email,
+        updatedAt: Date.now()
+      };
+
+      const updatedUser = await users.findOneAndUpdate(
+        { _id: req.params.userId, ...versionFilter(req) },
+        update,
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedUser) {
+        // Either the document is gone or If-Match named an older version
+        const current = await users.findById(req.params.userId);
+        if (current) {
+          return preconditionFailed(res, current, "User");
+        }
         return res.status(404).json({
           success: false,
           error: "User not found"
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'updated', updatedUser);
+
+      setETag(res, updatedUser);
       res.json({
         success: true,
         message: "User updated successfully",
         data: updatedUser
       });
     } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "Email is already registered"
+        });
+      }
       res.status(500).json({
         success: false,
         error: err.message
@@ -364,7 +932,10 @@ router.put(
  *   patch:
  *     tags: [Users]
  *     summary: Update specific user fields (partial update)
- *     description: Update only specified fields of a user
+ *     description: |
+ *       Update only specified fields of a user.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:updated` event to the Socket.io rooms of the owning user (and admins) when a user is updated.
  *     parameters:
  *       - in: path
  *         name: userId
@@ -372,6 +943,7 @@ router.put(
  *         schema:
  *           type: string
  *         description: MongoDB ObjectId of the user
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -389,6 +961,8 @@ router.put(
  *                 maxLength: 50
  *               picture:
  *                 type: string
+ *                 format: uri
+ *                 description: https URL of the profile picture; set automatically by POST /users/{userId}/avatar
  *               email:
  *                 type: string
  *                 format: email
@@ -408,8 +982,16 @@ router.put(
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: Email is already registered
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -419,29 +1001,10 @@ router.patch(
     param("userId")
       .isMongoId()
       .withMessage("Invalid user ID format"),
-    body("first_name")
-      .optional()
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("First name must be between 2 and 50 characters"),
-    body("last_name")
-      .optional()
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Last name must be between 2 and 50 characters"),
-    body("picture")
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage("Picture URL cannot be empty"),
-    body("email")
-      .optional()
-      .trim()
-      .isEmail()
-      .withMessage("Must be a valid email address")
-      .normalizeEmail()
+    ...updateUserValidators
   ],
   handleValidationErrors,
+  requireSelfOrAdmin(),
   async (req, res) => {
     try {
       const updateFields = {};
@@ -451,25 +1014,40 @@ router.patch(
       if (req.body.email) updateFields.email = req.body.email;
       updateFields.updatedAt = Date.now();
 
-      const updatedUser = await users.findByIdAndUpdate(
-        req.params.userId,
+      const updatedUser = await users.findOneAndUpdate(
+        { _id: req.params.userId, ...versionFilter(req) },
         { $set: updateFields },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, audit: requestAudit(req) }
       );
 
       if (!updatedUser) {
+        // Either the document is gone or If-Match named an older version
+        const current = await users.findById(req.params.userId);
+        if (current) {
+          return preconditionFailed(res, current, "User");
+        }
         return res.status(404).json({
           success: false,
           error: "User not found"
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'updated', updatedUser);
+
+      setETag(res, updatedUser);
       res.json({
         success: true,
         message: "User updated successfully",
         data: updatedUser
       });
     } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "Email is already registered"
+        });
+      }
       res.status(500).json({
         success: false,
         error: err.message
@@ -484,7 +1062,11 @@ router.patch(
  *   delete:
  *     tags: [Users]
  *     summary: Delete user
- *     description: Remove a user from the database
+ *     description: |
+ *       Move a user to the trash. It is hidden from normal queries until restored with
+ *       `POST /users/{userId}/restore`, or permanently removed once the trash retention period ends.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:deleted` event to the Socket.io rooms of the owning user (and admins) when a user is deleted.
  *     parameters:
  *       - in: path
  *         name: userId
@@ -508,6 +1090,10 @@ router.patch(
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -521,9 +1107,10 @@ router.delete(
       .withMessage("Invalid user ID format")
   ],
   handleValidationErrors,
+  requireSelfOrAdmin(),
   async (req, res) => {
     try {
-      const removedUser = await users.findByIdAndDelete(req.params.userId);
+      const removedUser = await users.softDelete({ _id: req.params.userId }, { audit: requestAudit(req) });
 
       if (!removedUser) {
         return res.status(404).json({
@@ -532,6 +1119,9 @@ router.delete(
         });
       }
 
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'deleted', removedUser, { id: req.params.userId });
+
       res.json({
         success: true,
         message: "User deleted successfully",
@@ -546,4 +1136,297 @@ router.delete(
   }
 );
 
+
+/**
+ * @swagger
+ * /users/{userId}/avatar:
+ *   post:
+ *     tags: [Users]
+ *     summary: Upload user avatar
+ *     description: |
+ *       Upload a profile picture (multipart field `file`): a JPEG, PNG, WebP or GIF image up to AVATAR_MAX_MB
+ *       (default 5 MB) whose width and height are between AVATAR_MIN_DIMENSION and AVATAR_MAX_DIMENSION
+ *       (default 128 and 4096 pixels). It is cropped to a square and stored as 64, 128 and 256 pixel WebP
+ *       thumbnails, listed in `avatar.thumbnails`; `picture` is set to the large one. Uploading again
+ *       replaces the previous avatar.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:updated` event to the Socket.io rooms of the owning user (and admins) when the avatar changes.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing file, not an accepted image, too large, or dimensions out of range
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only the user themselves or an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Another avatar was uploaded at the same time
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:userId/avatar",
+  [
+    param("userId")
+      .isMongoId()
+      .withMessage("Invalid user ID format")
+  ],
+  handleValidationErrors,
+  requireSelfOrAdmin(),
+  avatarUpload,
+  async (req, res) => {
+    try {
+      const user = await users.findById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found"
+        });
+      }
+
+      const avatar = await createAvatar(req.params.userId, req.file.buffer);
+
+      // Only replace the avatar that was read above, so its files can be removed safely
+      const updatedUser = await users.findOneAndUpdate(
+        { _id: req.params.userId, "avatar.id": user.avatar ? user.avatar.id : null },
+        { $set: { avatar, picture: avatar.thumbnails.large, updatedAt: Date.now() } },
+        { new: true, runValidators: true, audit: requestAudit(req) }
+      );
+
+      if (!updatedUser) {
+        await removeAvatar(req.params.userId, avatar);
+        const exists = await users.exists({ _id: req.params.userId });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          error: exists ? "Avatar was changed by someone else, please try again" : "User not found"
+        });
+      }
+
+      if (user.avatar) {
+        await removeAvatar(req.params.userId, user.avatar);
+      }
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'updated', updatedUser);
+
+      setETag(res, updatedUser);
+      res.json({
+        success: true,
+        message: "Avatar uploaded successfully",
+        data: updatedUser
+      });
+    } catch (err) {
+      if (err instanceof AvatarError) {
+        return res.status(err.status).json({
+          success: false,
+          error: err.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/{userId}/restore:
+ *   post:
+ *     tags: [Users]
+ *     summary: Restore user from the trash
+ *     description: |
+ *       Bring a soft-deleted user back.
+ *       
+ *       **Socket.io Integration:** This endpoint automatically emits a `user:restored` event to the Socket.io rooms of the owning user (and admins) when a user is restored.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found in the trash
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  "/:userId/restore",
+  requireRole("admin"),
+  [
+    param("userId")
+      .isMongoId()
+      .withMessage("Invalid user ID format")
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const restoredUser = await users.restore({ _id: req.params.userId }, { audit: requestAudit(req) });
+
+      if (!restoredUser) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found in trash"
+        });
+      }
+
+      // Emit Socket.io event for real-time updates
+      broadcastChange(req.app.get('io'), 'user', 'restored', restoredUser);
+
+      res.json({
+        success: true,
+        message: "User restored successfully",
+        data: restoredUser
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/{userId}/history:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get user change history
+ *     description: |
+ *       Audit entries for a user, newest first. Each entry records the actor, the source (REST, socket or system)
+ *       and a field-level diff. History is kept after the user is deleted or purged;
+ *       once purged, only admins can read it. Non-admins get 404 for users outside their scope.
+ *       
+ *       Accepts the same filters as `GET /audit`, e.g. `action=update&changes.field=title`.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: string
+ *           example: actor
+ *         description: Set to `actor` to expand the acting user
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved user history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  "/:userId/history",
+  [
+    param("userId")
+      .isMongoId()
+      .withMessage("Invalid user ID format"),
+    populateValidator(['actor']),
+    ...listValidators(resources.audits)
+  ],
+  handleValidationErrors,
+  parseFilters(resources.audits.filterable),
+  async (req, res) => {
+    try {
+      if (!isAdmin(req.user)) {
+        const visible = await users.exists(scopedById("users", req.user, req.params.userId))
+          .setOptions({ withDeleted: true });
+        if (!visible) {
+          return res.status(404).json({
+            success: false,
+            error: "User not found"
+          });
+        }
+      }
+
+      const result = await paginate(req, res, {
+        Model: Audit,
+        filter: mergeFilters(
+          { resource: "user", documentId: req.params.userId },
+          req.filter
+        ),
+        config: resources.audits
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        error: err.message
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Socket.io Adapter Setup
+ * Installs the adapter chosen by SOCKET_ADAPTER (see config/socket.js) so broadcasts,
+ * room emits and `fetchSockets()` reach every instance. The Redis and MongoDB adapters
+ * are only loaded when selected.
+ */
+
+const mongoose = require("mongoose");
+const { logger } = require("../utils/logger");
+const config = require("../config/socket");
+
+const log = logger.child({ component: "socket-adapter" });
+
+// MongoDB error code for "collection already exists"
+const NAMESPACE_EXISTS = 48;
+
+const setupRedis = async () => {
+  const { createClient } = require("redis");
+  const { createAdapter } = require("@socket.io/redis-adapter");
+
+  const pubClient = createClient({ url: config.redisUrl });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach((client) => {
+    client.on("error", (err) => log.error("Redis client error", { err }));
+  });
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    adapter: createAdapter(pubClient, subClient),
+    close: () => Promise.all([pubClient.quit(), subClient.quit()])
+  };
+};
+
+const setupMongo = async () => {
+  const { createAdapter } = require("@socket.io/mongo-adapter");
+
+  // Reuse the application's connection
+  await mongoose.connection.asPromise();
+  const { db } = mongoose.connection;
+
+  try {
+    await db.createCollection(config.mongoCollection, { capped: true, size: 1e6 });
+  } catch (err) {
+    if (err.code !== NAMESPACE_EXISTS) {
+      throw err;
+    }
+  }
+
+  return {
+    adapter: createAdapter(db.collection(config.mongoCollection)),
+    close: async () => {}
+  };
+};
+
+/**
+ * Install the configured adapter; call before the server starts accepting connections
+ * @param {Server} io - Socket.io server
+ * @returns {Promise<Object>} { name, close } where close() releases the adapter's clients
+ */
+const setupAdapter = async (io) => {
+  const name = config.adapter;
+
+  if (!config.ADAPTERS.includes(name)) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${name}" (expected one of: ${config.ADAPTERS.join(", ")})`);
+  }
+
+  if (name === "memory") {
+    return { name, close: async () => {} };
+  }
+
+  const { adapter, close } = name === "redis" ? await setupRedis() : await setupMongo();
+  io.adapter(adapter);
+  log.info("Socket.io adapter ready", { adapter: name });
+
+  return { name, close };
+};
+
+module.exports = setupAdapter;
@@ -0,0 +1,63 @@
+/**
+ * Socket.io Authentication Middleware
+ * Verifies the JWT access token sent in `socket.handshake.auth.token`,
+ * rejects unauthenticated connections and joins each socket to its user's room
+ */
+
+const users = require("../models/users");
+const { verifyToken } = require("../utils/tokens");
+const { logger } = require("../utils/logger");
+
+// Room every admin socket joins; admins receive changes for all documents
+const ADMIN_ROOM = "admins";
+
+/**
+ * Room name for a user's sockets
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+const socketAuth = async (socket, next) => {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || '';
+
+  if (!token) {
+    return next(new Error("Authentication required"));
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token.replace(/^Bearer\s+/, ''), 'access');
+  } catch (err) {
+    return next(new Error(err.name === 'TokenExpiredError' ? "Access token expired" : "Invalid access token"));
+  }
+
+  try {
+    const user = await users.findById(payload.sub);
+
+    if (!user) {
+      return next(new Error("User no longer exists"));
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      role: user.role,
+      // Shown to other users viewing the same document
+      name: `${user.first_name} ${user.last_name}`
+    };
+
+    socket.join(userRoom(socket.data.user.id));
+    if (user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    next();
+  } catch (err) {
+    logger.error("Socket authentication error", { socketId: socket.id, err });
+    next(new Error("Authentication failed"));
+  }
+};
+
+module.exports = {
+  ADMIN_ROOM,
+  userRoom,
+  socketAuth
+};
@@ -0,0 +1,210 @@
+/**
+ * Socket.io Broadcast Helper
+ * Emits namespaced change events (e.g. `todo:added`, `user:deleted`)
+ * for every resource, from both REST routes and socket handlers.
+ * Events only reach the rooms of the users that own or are assigned the
+ * changed document, plus the admin room.
+ *
+ * With SOCKET_EVENT_SOURCE=changestream the change-stream watcher is the only
+ * source of change events, so broadcastChange and broadcastBatch do nothing.
+ *
+ * Every event is written to the event log first and carries its sequence number
+ * as a second argument (`{ seq }`), which clients send back with `sync` after a
+ * reconnect. If the log cannot be written the event still goes out, with `seq: null`.
+ *
+ * Sockets holding a live query on a resource (see socket/subscriptions.js) are left out
+ * and hear about the change through their live queries instead.
+ */
+
+const { ADMIN_ROOM, userRoom } = require("./auth");
+const { appendEvent, appendEvents } = require("./eventLog");
+const { liveRoom, publishChanges } = require("./subscriptions");
+const { eventSource } = require("../config/socket");
+const { logger } = require("../utils/logger");
+
+// Writes are announced by the change-stream watcher instead of the code making them
+const fromChangeStream = eventSource === 'changestream';
+
+// Resources that also emit the original un-namespaced events
+// (`added`, `updated`, `deleted`, `restored`) for existing todo clients
+const LEGACY_RESOURCES = ['todo'];
+
+// Document fields holding the ids of the users a change is delivered to
+const OWNER_FIELDS = {
+  todo: ['owner', 'assignee'],
+  assignment: ['owner', 'assignee'],
+  user: ['_id']
+};
+
+// Accepts an ObjectId, a string or a populated document
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+/**
+ * Rooms that should receive changes to a document
+ */
+const roomsFor = (resource, doc) => {
+  const rooms = new Set([ADMIN_ROOM]);
+
+  (OWNER_FIELDS[resource] || []).forEach((field) => {
+    const id = idOf(doc && doc[field]);
+    if (id) {
+      rooms.add(userRoom(id));
+    }
+  });
+
+  return [...rooms];
+};
+
+// Plain data as clients receive it (applies toJSON transforms of documents)
+const toData = (payload) => (payload && typeof payload.toJSON === 'function' ? payload.toJSON() : payload);
+
+/**
+ * Log a change event and emit it to the owners of a document, whatever the event source
+ * @param {Server|BroadcastOperator} io - Socket.io server, or `io.local` for this instance's sockets only
+ * @param {string} resource - Event namespace (e.g. 'todo')
+ * @param {string} action - 'added', 'updated', 'deleted' or 'restored'
+ * @param {Object} doc - Changed document, used to find its owners
+ * @param {Object} [payload=doc] - Event data sent to clients
+ * @param {string} [key] - Unique key of the change, logs it only once across instances
+ * @returns {Promise<void>} Never rejects
+ */
+const emitChange = async (io, resource, action, doc, payload = doc, key = undefined) => {
+  const rooms = roomsFor(resource, doc);
+  const data = toData(payload);
+
+  let seq = null;
+  try {
+    seq = await appendEvent({ resource, action, rooms, data, key });
+  } catch (err) {
+    logger.error("Failed to log socket event", { resource, action, err });
+  }
+
+  const target = io.to(rooms).except(liveRoom(resource));
+
+  target.emit(`${resource}:${action}`, data, { seq });
+
+  if (LEGACY_RESOURCES.includes(resource)) {
+    target.emit(action, data, { seq });
+  }
+
+  publishChanges(io, resource, [{ action, doc, data }], seq);
+};
+
+/**
+ * Announce a workflow step such as an assignment being submitted or graded
+ * (`assignment:submitted`, ...). Sent whatever the event source and also to sockets with
+ * live queries; the data change itself still goes out as `updated`.
+ * @param {Server} io - Socket.io server instance (no-op when missing)
+ * @param {string} resource - Event namespace (e.g. 'assignment')
+ * @param {string} event - Workflow step, e.g. 'submitted'
+ * @param {Object} doc - Document after the step, used to find its owners and sent to clients
+ * @returns {Promise<void>} Never rejects; callers need not wait for it
+ */
+const broadcastTransition = async (io, resource, event, doc) => {
+  if (!io) {
+    return;
+  }
+
+  const rooms = roomsFor(resource, doc);
+  const data = toData(doc);
+
+  let seq = null;
+  try {
+    seq = await appendEvent({ resource, action: event, rooms, data });
+  } catch (err) {
+    logger.error("Failed to log socket event", { resource, action: event, err });
+  }
+
+  io.to(rooms).emit(`${resource}:${event}`, data, { seq });
+};
+
+/**
+ * Announce a change made by the REST routes or socket handlers
+ * @param {Server} io - Socket.io server instance (no-op when missing)
+ * @param {string} resource - Event namespace (e.g. 'todo')
+ * @param {string} action - 'added', 'updated', 'deleted' or 'restored'
+ * @param {Object} doc - Changed document, used to find its owners
+ * @param {Object} [payload=doc] - Event data sent to clients
+ * @returns {Promise<void>} Never rejects; callers need not wait for it
+ */
+const broadcastChange = async (io, resource, action, doc, payload = doc) => {
+  if (!io || fromChangeStream) {
+    return;
+  }
+  await emitChange(io, resource, action, doc, payload);
+};
+
+/**
+ * Emit a single `<resource>:bulk` event for a batch of changes
+ * Every room receives only the documents it may see; admins get the whole batch.
+ * (In change-stream mode each document arrives as its own event instead.)
+ * Each document is logged as its own event; the batch carries the last sequence number.
+ * @param {Server} io - Socket.io server instance (no-op when missing)
+ * @param {string} resource - Event namespace (e.g. 'todo')
+ * @param {Object} changes - `{ added, updated, deleted }` arrays of changed documents
+ * @returns {Promise<void>} Never rejects; callers need not wait for it
+ */
+const broadcastBatch = async (io, resource, changes) => {
+  if (!io || fromChangeStream) {
+    return;
+  }
+
+  const batches = new Map();
+  const entries = [];
+  const changed = [];
+
+  Object.entries(changes).forEach(([action, docs]) => {
+    docs.forEach((doc) => {
+      const payload = toData(action === 'deleted' ? { id: doc._id } : doc);
+      const rooms = roomsFor(resource, doc);
+      entries.push({ resource, action, rooms, data: payload });
+      changed.push({ action, doc, data: payload });
+      rooms.forEach((room) => {
+        if (!batches.has(room)) {
+          batches.set(room, { added: [], updated: [], deleted: [] });
+        }
+        batches.get(room)[action].push(payload);
+      });
+    });
+  });
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  let seq = null;
+  try {
+    seq = await appendEvents(entries);
+  } catch (err) {
+    logger.error("Failed to log socket events", { resource, action: 'bulk', err });
+  }
+
+  batches.forEach((batch, room) => {
+    // Admin sockets also sit in their own user room; keep them to one event
+    const skip = room === ADMIN_ROOM ? [liveRoom(resource)] : [ADMIN_ROOM, liveRoom(resource)];
+    const target = io.to(room).except(skip);
+
+    target.emit(`${resource}:bulk`, batch, { seq });
+
+    if (LEGACY_RESOURCES.includes(resource)) {
+      target.emit('bulk', batch, { seq });
+    }
+  });
+
+  publishChanges(io, resource, changed, seq);
+};
+
+module.exports = {
+  LEGACY_RESOURCES,
+  OWNER_FIELDS,
+  roomsFor,
+  emitChange,
+  broadcastChange,
+  broadcastBatch,
+  broadcastTransition
+};
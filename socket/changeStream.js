@@ -0,0 +1,249 @@
+/**
+ * Change Stream Watcher
+ * With SOCKET_EVENT_SOURCE=changestream, MongoDB change streams on the todos, users and
+ * assignments collections are the single source of `added`, `updated`, `deleted` and
+ * `restored` events, so edits made by scripts, other services or the Mongo shell reach
+ * clients just like API writes. Requires a replica set (MongoDB 6.0+ for pre-images).
+ *
+ * Every instance watches on its own and only emits to its local sockets. The resume token
+ * of the last emitted change is stored per collection, so after a restart the stream picks
+ * up where it stopped and no changes are missed (a few may be sent twice).
+ */
+
+const ChangeStreamToken = require("../models/changeStreamTokens");
+const socketResources = require("./resources");
+const { emitChange } = require("./broadcast");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ component: "change-stream" });
+
+const RESTART_DELAY_MS = 5000;
+const TOKEN_FLUSH_MS = 1000;
+
+// InvalidResumeToken, ChangeStreamFatalError, ChangeStreamHistoryLost:
+// the stored position is gone and the stream has to start from now
+const STALE_TOKEN_CODES = [260, 280, 286];
+
+// Fields that change on every write; an update touching only these is not announced
+const BOOKKEEPING_FIELDS = ['__v', 'updatedAt'];
+
+/**
+ * Top-level fields clients never see (`select: false`, e.g. a user's refresh tokens)
+ */
+const hiddenFields = (schema) => Object.keys(schema.paths)
+  .filter((path) => schema.paths[path].options.select === false);
+
+/**
+ * Work out whether a document went into or came out of the trash
+ * @returns {Object} { before, after } - soft-deleted state before and after the change
+ */
+const trashState = (change, changedFields) => {
+  const after = Boolean(change.fullDocument.deletedAt);
+
+  if (change.fullDocumentBeforeChange) {
+    return { before: Boolean(change.fullDocumentBeforeChange.deletedAt), after };
+  }
+  if (changedFields && changedFields.includes('deletedAt')) {
+    return { before: !after, after };
+  }
+  return { before: after, after };
+};
+
+/**
+ * Translate a change-stream event into an application event
+ * @param {Object} change - Change-stream event
+ * @param {Model} Model - Mongoose model of the watched collection
+ * @param {string[]} quietFields - Fields whose changes alone are not announced
+ * @returns {Object|null} { action, doc, payload }, or null when clients need not hear about it
+ */
+const toAppEvent = (change, Model, quietFields) => {
+  const id = change.documentKey._id;
+  const { fullDocument, fullDocumentBeforeChange } = change;
+
+  // Hydrating applies the model's toJSON transform (e.g. removes password hashes)
+  const serialize = (doc) => Model.hydrate(doc).toJSON();
+
+  switch (change.operationType) {
+    case 'insert':
+      return fullDocument.deletedAt ? null : { action: 'added', doc: fullDocument, payload: serialize(fullDocument) };
+
+    case 'update':
+    case 'replace': {
+      // The document was removed again before the lookup
+      if (!fullDocument) {
+        return null;
+      }
+
+      let changedFields = null;
+      if (change.updateDescription) {
+        const { updatedFields = {}, removedFields = [] } = change.updateDescription;
+        changedFields = [...Object.keys(updatedFields), ...removedFields].map((path) => path.split('.')[0]);
+      }
+
+      const trash = trashState(change, changedFields);
+      if (trash.after && !trash.before) {
+        return { action: 'deleted', doc: fullDocument, payload: { id } };
+      }
+      if (trash.before && !trash.after) {
+        return { action: 'restored', doc: fullDocument, payload: serialize(fullDocument) };
+      }
+      if (trash.after) {
+        return null;
+      }
+      if (changedFields && changedFields.every((field) => quietFields.includes(field))) {
+        return null;
+      }
+      return { action: 'updated', doc: fullDocument, payload: serialize(fullDocument) };
+    }
+
+    case 'delete':
+      // Purging a trashed document: clients already got `deleted` when it was trashed
+      if (fullDocumentBeforeChange && fullDocumentBeforeChange.deletedAt) {
+        return null;
+      }
+      // Without a pre-image the owners are unknown and only admins are told
+      return { action: 'deleted', doc: fullDocumentBeforeChange || { _id: id }, payload: { id } };
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Watch one collection, restarting after errors
+ * @param {Server} io - Socket.io server
+ * @param {Object} options - Entry from socket/resources.js
+ * @returns {Object} { close } - stops the stream and saves the last resume token
+ */
+const watchResource = (io, { Model, resource }) => {
+  const name = Model.collection.collectionName;
+  const quietFields = [...BOOKKEEPING_FIELDS, ...hiddenFields(Model.schema)];
+
+  let stream = null;
+  let stopped = false;
+  let restartTimer = null;
+  let pendingToken = null;
+  let flushTimer = null;
+  // Changes are logged and emitted one at a time, in stream order
+  let queue = Promise.resolve();
+
+  const saveToken = async () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!pendingToken) {
+      return;
+    }
+    const token = pendingToken;
+    pendingToken = null;
+    try {
+      await ChangeStreamToken.updateOne(
+        { _id: name },
+        { $set: { token, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (err) {
+      log.error("Failed to save resume token", { collection: name, err });
+    }
+  };
+
+  const processChange = async (change) => {
+    try {
+      const event = toAppEvent(change, Model, quietFields);
+      if (event) {
+        // The resume token identifies the change, so every instance logs it under one sequence number
+        await emitChange(io.local, resource, event.action, event.doc, event.payload, change._id._data);
+      }
+    } catch (err) {
+      log.error("Failed to emit change", { collection: name, operation: change.operationType, err });
+    }
+
+    // Saved in batches; after a crash the last few changes are replayed rather than lost
+    pendingToken = change._id;
+    if (!flushTimer) {
+      flushTimer = setTimeout(saveToken, TOKEN_FLUSH_MS);
+    }
+  };
+
+  const handleChange = (change) => {
+    queue = queue.then(() => processChange(change));
+  };
+
+  const scheduleRestart = () => {
+    if (!stopped && !restartTimer) {
+      restartTimer = setTimeout(() => {
+        restartTimer = null;
+        open().catch(handleError);
+      }, RESTART_DELAY_MS);
+    }
+  };
+
+  const handleError = async (err) => {
+    if (stream) {
+      stream.removeAllListeners();
+      stream.close().catch(() => {});
+      stream = null;
+    }
+
+    if (STALE_TOKEN_CODES.includes(err.code)) {
+      log.warn("Resume token expired, restarting from now; changes made meanwhile were not sent", { collection: name, err });
+      pendingToken = null;
+      await ChangeStreamToken.deleteOne({ _id: name }).catch(() => {});
+    } else {
+      log.error("Change stream failed, restarting", { collection: name, err });
+    }
+    scheduleRestart();
+  };
+
+  const open = async () => {
+    await saveToken();
+    const saved = await ChangeStreamToken.findById(name).lean();
+    if (stopped) {
+      return;
+    }
+
+    stream = Model.collection.watch([], {
+      fullDocument: 'updateLookup',
+      fullDocumentBeforeChange: 'whenAvailable',
+      ...(saved ? { startAfter: saved.token } : {})
+    });
+    stream.on('change', handleChange);
+    stream.on('error', handleError);
+
+    log.info("Watching collection", { collection: name, resumed: Boolean(saved) });
+  };
+
+  open().catch(handleError);
+
+  const close = async () => {
+    stopped = true;
+    clearTimeout(restartTimer);
+    if (stream) {
+      stream.removeAllListeners();
+      await stream.close().catch(() => {});
+      stream = null;
+    }
+    await queue;
+    await saveToken();
+  };
+
+  return { close };
+};
+
+/**
+ * Start watching every socket resource
+ * Call once MongoDB is connected
+ * @param {Server} io - Socket.io server
+ * @returns {Object} { stop } - async, closes the streams and saves their resume tokens
+ */
+const startChangeStreams = (io) => {
+  const watchers = socketResources.map((options) => watchResource(io, options));
+
+  return {
+    stop: () => Promise.all(watchers.map((watcher) => watcher.close()))
+  };
+};
+
+module.exports = {
+  toAppEvent,
+  startChangeStreams
+};
@@ -0,0 +1,265 @@
+/**
+ * Socket.io CRUD Handlers
+ * Registers `all`/`add`/`update`/`delete`/`restore` events for a resource.
+ * Every resource listens on namespaced events (`user:add`, `assignment:update`, ...);
+ * todos additionally keep the original un-namespaced events.
+ * Non-admin sockets only see and change the documents in their scope.
+ * `update` may carry the `version` (`__v`) the client last saw; if the document has
+ * moved on, the event fails with VERSION_CONFLICT and the current document.
+ *
+ * Every event accepts an acknowledgement callback answered with `{ ok: true, data }` or
+ * `{ ok: false, error: { code, message, details } }` (see socket/errors.js). Without a
+ * callback, `all` replies with an event of the same name and failures are sent as an
+ * `error` event (or `conflict` for version conflicts). `add` and `update` data is checked
+ * with the same validation chains as the REST routes.
+ */
+
+const { body } = require("express-validator");
+const { LEGACY_RESOURCES, broadcastChange } = require("./broadcast");
+const { ERROR_CODES, SocketEventError, toSocketError, errorReply } = require("./errors");
+const { socketAudit } = require("../utils/audit");
+const { runValidators } = require("../utils/validators");
+const { mergeFilters } = require("../utils/filterQuery");
+const { takeEventBudget } = require("./rateLimit");
+const { logger, withLogContext } = require("../utils/logger");
+
+// Events that write to MongoDB and spend the socket's event budget
+const WRITE_ACTIONS = ["add", "update", "delete", "restore"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Register CRUD event handlers for one resource on a socket
+ * @param {Socket} socket - Connected client socket
+ * @param {Server} io - Socket.io server instance
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {string} options.resource - Event namespace (e.g. 'todo')
+ * @param {string} options.label - Human readable name used in messages
+ * @param {Object} options.sort - Sort order for the `all` event
+ * @param {Function} options.build - Maps validated `add` data to document fields
+ * @param {Function} options.scope - Returns the query filter a non-admin user is limited to
+ * @param {string} [options.ownerField] - Field set to the creating user's id on `add`
+ * @param {boolean} [options.adminOnlyCreate] - Only admins may `add`
+ * @param {Function} options.describe - Returns a short description for logs
+ * @param {ValidationChain[]} options.createValidators - Same chains as `POST /<resource>`
+ * @param {ValidationChain[]} options.updateValidators - Same chains as `PATCH /<resource>/:id`
+ * @param {string[]} options.writable - Fields `update` may change
+ * @param {Function} [options.checkUpdate] - Called with the current document, the changes and the
+ *   user before `update`; throws to refuse the change (see utils/assignmentWorkflow.js `checkEdit`)
+ */
+const registerCrudHandlers = (socket, io, options) => {
+  const {
+    Model,
+    resource,
+    label,
+    sort,
+    build,
+    describe,
+    scope,
+    ownerField,
+    adminOnlyCreate,
+    createValidators,
+    updateValidators,
+    writable,
+    checkUpdate
+  } = options;
+  const legacy = LEGACY_RESOURCES.includes(resource);
+  const user = socket.data.user;
+  const scopeFilter = user.role === 'admin' ? {} : scope(user);
+  const name = label.toLowerCase();
+
+  const idValidator = body("id").isMongoId().withMessage(`Invalid ${name} ID format`);
+
+  // Reply event on the same channel (namespaced or legacy) as the incoming event
+  const replyEvent = (event, reply) => (event.includes(":") ? `${resource}:${reply}` : reply);
+
+  /**
+   * Validate event data, returning the sanitized values
+   * @throws {SocketEventError} INVALID_PAYLOAD or VALIDATION_FAILED
+   */
+  const validate = async (data, chains) => {
+    if (!isObject(data)) {
+      throw new SocketEventError(ERROR_CODES.INVALID_PAYLOAD, "Event data must be an object");
+    }
+    const { values, errors } = await runValidators(data, chains);
+    if (errors.length > 0) {
+      throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", errors);
+    }
+    return values;
+  };
+
+  // Listen on the namespaced event and, for legacy resources, the bare event.
+  // Handlers return the data for the acknowledgement or throw; failures are answered
+  // through the callback when there is one. Write events are dropped once the budget is spent.
+  const listen = (action, failureMessage, handler) => {
+    // Everything logged while handling the event carries the connection's correlation fields
+    const run = (data, ack, event) => withLogContext(
+      { requestId: socket.data.requestId, socketId: socket.id, userId: user.id, event },
+      async () => {
+        const acked = typeof ack === "function";
+
+        try {
+          if (WRITE_ACTIONS.includes(action)) {
+            takeEventBudget(socket);
+          }
+          const result = await handler(data, { event, acked });
+          if (acked) {
+            ack({ ok: true, data: result });
+          }
+        } catch (err) {
+          const error = toSocketError(err, failureMessage);
+
+          if (error.code === ERROR_CODES.INTERNAL_ERROR) {
+            logger.error(failureMessage, { err });
+          } else {
+            logger.warn(`${label} ${action} rejected`, { code: error.code, details: error.details });
+          }
+
+          if (acked) {
+            ack(errorReply(error));
+          } else if (error.code === ERROR_CODES.VERSION_CONFLICT) {
+            socket.emit(replyEvent(event, "conflict"), error.details);
+          } else {
+            socket.emit("error", {
+              message: error.message,
+              code: error.code,
+              event,
+              details: error.details,
+              // Older clients read `retryAfter` at the top level
+              ...(error.code === ERROR_CODES.RATE_LIMITED ? error.details : {})
+            });
+          }
+        }
+      }
+    );
+
+    socket.on(`${resource}:${action}`, (data, ack) => run(data, ack, `${resource}:${action}`));
+    if (legacy) {
+      socket.on(action, (data, ack) => run(data, ack, action));
+    }
+  };
+
+  /**
+   * Handle 'all' event - Get all documents
+   */
+  listen("all", `Failed to fetch ${name}s`, async (data, { event, acked }) => {
+    const docs = await Model.find(scopeFilter).sort(sort);
+    if (!acked) {
+      socket.emit(event, docs);
+    }
+    return docs;
+  });
+
+  /**
+   * Handle 'add' event - Create new document
+   */
+  listen("add", `Failed to create ${name}`, async (data) => {
+    if (adminOnlyCreate && user.role !== 'admin') {
+      throw new SocketEventError(ERROR_CODES.FORBIDDEN, `Only admins can create ${name}s`);
+    }
+    const values = await validate(data, createValidators);
+
+    const doc = new Model(build(values));
+    if (ownerField) {
+      doc[ownerField] = user.id;
+    }
+    const savedDoc = await doc.save({ audit: socketAudit(socket) });
+
+    broadcastChange(io, resource, "added", savedDoc);
+
+    logger.info(`${label} created`, { id: savedDoc._id, description: describe(savedDoc) });
+    return savedDoc;
+  });
+
+  /**
+   * Handle 'update' event - Update document
+   * Pass `version` to only apply the update if nobody changed the document since
+   */
+  listen("update", `Failed to update ${name}`, async (data) => {
+    await validate(data, [idValidator]);
+
+    const checkVersion = data.version !== undefined && data.version !== null;
+    if (checkVersion && !Number.isInteger(data.version)) {
+      throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", [
+        { field: "version", message: "Version must be an integer", value: data.version }
+      ]);
+    }
+
+    const updates = await validate(data.updates, updateValidators);
+    const fields = writable.filter((field) => updates[field] !== undefined);
+    if (fields.length === 0) {
+      throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", [
+        { field: "updates", message: `Nothing to update; writable fields are: ${writable.join(", ")}` }
+      ]);
+    }
+
+    const changes = Object.fromEntries(fields.map((field) => [field, updates[field]]));
+
+    // Merged rather than spread: the users scope is itself an `_id` condition
+    const filter = mergeFilters({ _id: data.id }, scopeFilter);
+    if (checkUpdate) {
+      const existing = await Model.findOne(filter);
+      if (!existing) {
+        throw new SocketEventError(ERROR_CODES.NOT_FOUND, `${label} not found`);
+      }
+      checkUpdate(existing, changes, user);
+    }
+
+    const updatedDoc = await Model.findOneAndUpdate(
+      checkVersion ? { ...filter, __v: data.version } : filter,
+      { $set: changes },
+      { new: true, runValidators: true, audit: socketAudit(socket) }
+    );
+
+    if (updatedDoc) {
+      broadcastChange(io, resource, "updated", updatedDoc);
+      logger.info(`${label} updated`, { id: updatedDoc._id, description: describe(updatedDoc) });
+      return updatedDoc;
+    }
+
+    const current = checkVersion ? await Model.findOne(filter) : null;
+    if (current) {
+      throw new SocketEventError(ERROR_CODES.VERSION_CONFLICT, `${label} was changed by someone else`, {
+        id: data.id,
+        version: data.version,
+        current
+      });
+    }
+    throw new SocketEventError(ERROR_CODES.NOT_FOUND, `${label} not found`);
+  });
+
+  /**
+   * Handle 'delete' event - Move document to the trash
+   */
+  listen("delete", `Failed to delete ${name}`, async (data) => {
+    await validate(data, [idValidator]);
+
+    const deletedDoc = await Model.softDelete(mergeFilters({ _id: data.id }, scopeFilter), { audit: socketAudit(socket) });
+    if (!deletedDoc) {
+      throw new SocketEventError(ERROR_CODES.NOT_FOUND, `${label} not found`);
+    }
+
+    broadcastChange(io, resource, "deleted", deletedDoc, { id: data.id });
+    logger.info(`${label} deleted`, { id: deletedDoc._id, description: describe(deletedDoc) });
+    return { id: data.id };
+  });
+
+  /**
+   * Handle 'restore' event - Bring a document back from the trash
+   */
+  listen("restore", `Failed to restore ${name}`, async (data) => {
+    await validate(data, [idValidator]);
+
+    const restoredDoc = await Model.restore(mergeFilters({ _id: data.id }, scopeFilter), { audit: socketAudit(socket) });
+    if (!restoredDoc) {
+      throw new SocketEventError(ERROR_CODES.NOT_FOUND, `${label} not found in trash`);
+    }
+
+    broadcastChange(io, resource, "restored", restoredDoc);
+    logger.info(`${label} restored`, { id: restoredDoc._id, description: describe(restoredDoc) });
+    return restoredDoc;
+  });
+};
+
+module.exports = registerCrudHandlers;
@@ -0,0 +1,257 @@
+/**
+ * Document Presence
+ * Shows who is looking at and who is editing a todo or assignment:
+ *   `<resource>:join`   `{ id }` - start viewing a document you can access
+ *   `<resource>:leave`  `{ id }` - stop viewing (also releases your lock)
+ *   `<resource>:typing` `{ id, typing }` - relayed to the other viewers as `<resource>:typing`
+ *                       with `{ id, user: { id, name }, typing }`; clients hide it after a few seconds
+ *   `<resource>:lock`   `{ id }` - take the editing lock, or renew it; fails with LOCKED while
+ *                       another socket holds it. Locks expire after SOCKET_LOCK_TTL_MS.
+ *   `<resource>:unlock` `{ id }` - release the editing lock
+ * Whenever viewers or the lock change, everyone viewing the document receives
+ * `<resource>:presence` with `{ id, viewers: [{ id, name }], editor }`.
+ * Leaving, disconnecting or crashing cleans up: viewers come from the sockets in the
+ * document's room across the cluster, and locks live in MongoDB with an expiry.
+ *
+ * Locks are advisory: they tell clients to hold off, writes are not refused.
+ *
+ * `join`, `typing`, `lock` and `unlock` spend the same event budget as the CRUD write
+ * events (see socket/rateLimit.js); `leave` is free so a client can always clean up.
+ */
+
+const { body } = require("express-validator");
+const DocumentLock = require("../models/documentLocks");
+const socketResources = require("./resources");
+const { ERROR_CODES, SocketEventError, toSocketError, errorReply } = require("./errors");
+const { runValidators } = require("../utils/validators");
+const { takeEventBudget } = require("./rateLimit");
+const { lockTtlMs } = require("../config/socket");
+const { logger, withLogContext } = require("../utils/logger");
+
+// Resources with per-document presence
+const COLLABORATIVE_RESOURCES = ['todo', 'assignment'];
+
+// Events that spend the socket user's event budget
+const BUDGETED_ACTIONS = ["join", "typing", "lock", "unlock"];
+
+/**
+ * Room of the sockets viewing a document, also the id of its editing lock
+ */
+const documentRoom = (resource, id) => `doc:${resource}:${id}`;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Current viewers and editor of a document
+ * Falls back to this instance's sockets when another instance does not answer
+ */
+const presenceOf = async (io, resource, id) => {
+  const room = documentRoom(resource, id);
+
+  let sockets;
+  try {
+    sockets = await io.in(room).fetchSockets();
+  } catch (err) {
+    logger.warn("Cluster presence unavailable, listing local viewers", { room, err });
+    sockets = await io.local.in(room).fetchSockets();
+  }
+
+  // One entry per user, however many tabs they have open
+  const viewers = new Map();
+  sockets.forEach(({ data }) => {
+    if (data.user && !viewers.has(data.user.id)) {
+      viewers.set(data.user.id, { id: data.user.id, name: data.user.name });
+    }
+  });
+
+  const lock = await DocumentLock.findOne({ _id: room, expiresAt: { $gt: new Date() } }).lean();
+
+  return {
+    id,
+    viewers: [...viewers.values()],
+    editor: lock ? { id: lock.userId, name: lock.name, expiresAt: lock.expiresAt } : null
+  };
+};
+
+/**
+ * Send the current presence of a document to everyone viewing it
+ */
+const announce = async (io, resource, id) => {
+  try {
+    const presence = await presenceOf(io, resource, id);
+    io.to(documentRoom(resource, id)).emit(`${resource}:presence`, presence);
+    return presence;
+  } catch (err) {
+    logger.error("Failed to announce document presence", { resource, id, err });
+    return null;
+  }
+};
+
+/**
+ * Register presence events for todos and assignments on a socket
+ * Every event accepts an acknowledgement callback; `join` and `lock` answer with the
+ * document's presence. Without a callback, failures are sent as an `error` event.
+ * @param {Socket} socket - Connected client socket
+ * @param {Server} io - Socket.io server instance
+ */
+const registerPresenceHandlers = (socket, io) => {
+  const user = socket.data.user;
+  // Room -> { resource, id } of every document this socket views
+  const viewing = new Map();
+
+  const idValidator = body("id").isMongoId().withMessage("Invalid ID format");
+
+  const validateId = async (data) => {
+    if (!isObject(data)) {
+      throw new SocketEventError(ERROR_CODES.INVALID_PAYLOAD, "Event data must be an object");
+    }
+    const { errors } = await runValidators(data, [idValidator]);
+    if (errors.length > 0) {
+      throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", errors);
+    }
+    return data.id;
+  };
+
+  const listen = (event, failureMessage, handler) => {
+    const budgeted = BUDGETED_ACTIONS.includes(event.split(":")[1]);
+
+    socket.on(event, (data, ack) => withLogContext(
+      { requestId: socket.data.requestId, socketId: socket.id, userId: user.id, event },
+      async () => {
+        const acked = typeof ack === "function";
+        try {
+          if (budgeted) {
+            takeEventBudget(socket);
+          }
+          const result = await handler(data);
+          if (acked) {
+            ack({ ok: true, data: result });
+          }
+        } catch (err) {
+          const error = toSocketError(err, failureMessage);
+          if (error.code === ERROR_CODES.INTERNAL_ERROR) {
+            logger.error(failureMessage, { err });
+          }
+          if (acked) {
+            ack(errorReply(error));
+          } else {
+            socket.emit("error", { message: error.message, code: error.code, event, details: error.details });
+          }
+        }
+      }
+    ));
+  };
+
+  socketResources
+    .filter((options) => COLLABORATIVE_RESOURCES.includes(options.resource))
+    .forEach(({ Model, resource, label, scope }) => {
+      const scopeFilter = user.role === 'admin' ? {} : scope(user);
+      const name = label.toLowerCase();
+
+      const join = async (id) => {
+        const room = documentRoom(resource, id);
+        if (viewing.has(room)) {
+          return false;
+        }
+        if (!(await Model.exists({ _id: id, ...scopeFilter }))) {
+          throw new SocketEventError(ERROR_CODES.NOT_FOUND, `${label} not found`);
+        }
+        socket.join(room);
+        viewing.set(room, { resource, id });
+        return true;
+      };
+
+      listen(`${resource}:join`, `Failed to join ${name}`, async (data) => {
+        const id = await validateId(data);
+        if (!(await join(id))) {
+          return presenceOf(io, resource, id);
+        }
+        logger.debug(`Viewing ${name}`, { id });
+        return announce(io, resource, id);
+      });
+
+      listen(`${resource}:leave`, `Failed to leave ${name}`, async (data) => {
+        const id = await validateId(data);
+        const room = documentRoom(resource, id);
+        if (!viewing.has(room)) {
+          throw new SocketEventError(ERROR_CODES.NOT_FOUND, `Not viewing this ${name}`);
+        }
+
+        viewing.delete(room);
+        socket.leave(room);
+        await DocumentLock.deleteOne({ _id: room, socketId: socket.id });
+        await announce(io, resource, id);
+        return { id };
+      });
+
+      listen(`${resource}:typing`, `Failed to send typing state for ${name}`, async (data) => {
+        const id = await validateId(data);
+        const room = documentRoom(resource, id);
+        if (!viewing.has(room)) {
+          throw new SocketEventError(ERROR_CODES.NOT_FOUND, `Not viewing this ${name}`);
+        }
+
+        socket.to(room).emit(`${resource}:typing`, {
+          id,
+          user: { id: user.id, name: user.name },
+          typing: data.typing !== false
+        });
+        return { id };
+      });
+
+      listen(`${resource}:lock`, `Failed to lock ${name}`, async (data) => {
+        const id = await validateId(data);
+        await join(id);
+
+        const room = documentRoom(resource, id);
+        const now = new Date();
+        let previous;
+        try {
+          // Take the lock if it is free, expired or already ours; returns the lock as it was
+          previous = await DocumentLock.findOneAndUpdate(
+            { _id: room, $or: [{ socketId: socket.id }, { expiresAt: { $lte: now } }] },
+            { $set: { userId: user.id, name: user.name, socketId: socket.id, expiresAt: new Date(now.getTime() + lockTtlMs) } },
+            { upsert: true, new: false }
+          ).lean();
+        } catch (err) {
+          if (err.code !== 11000) {
+            throw err;
+          }
+          // Held by someone else
+          const { editor } = await presenceOf(io, resource, id);
+          throw new SocketEventError(ERROR_CODES.LOCKED, `${label} is being edited by ${editor ? editor.name : "someone else"}`, { editor });
+        }
+
+        const renewed = previous && previous.socketId === socket.id && previous.expiresAt > now;
+        if (renewed) {
+          return presenceOf(io, resource, id);
+        }
+        logger.debug(`Locked ${name}`, { id });
+        return announce(io, resource, id);
+      });
+
+      listen(`${resource}:unlock`, `Failed to unlock ${name}`, async (data) => {
+        const id = await validateId(data);
+        const { deletedCount } = await DocumentLock.deleteOne({ _id: documentRoom(resource, id), socketId: socket.id });
+        if (deletedCount === 0) {
+          throw new SocketEventError(ERROR_CODES.NOT_FOUND, `You do not hold the lock on this ${name}`);
+        }
+        return announce(io, resource, id);
+      });
+    });
+
+  // The socket has left its rooms by now, so the announcements no longer list it
+  socket.on("disconnect", async () => {
+    if (viewing.size === 0) {
+      return;
+    }
+    try {
+      await DocumentLock.deleteMany({ socketId: socket.id });
+    } catch (err) {
+      logger.error("Failed to release editing locks", { socketId: socket.id, err });
+    }
+    await Promise.all([...viewing.values()].map(({ resource, id }) => announce(io, resource, id)));
+  });
+};
+
+module.exports = registerPresenceHandlers;
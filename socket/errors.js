@@ -0,0 +1,95 @@
+/**
+ * Socket Error Codes
+ * Every socket event answers through its acknowledgement callback with
+ * `{ ok: true, data }` or `{ ok: false, error: { code, message, details } }`.
+ * Clients that send no callback get the failure as an `error` event instead.
+ */
+
+// Code -> when it is used. `details` is described for codes that carry it.
+const ERROR_CODES = {
+  // Event data is missing or not an object
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  // Data broke the same rules as the REST routes; details: [{ field, message, value }]
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  // The event is not allowed for the user's role (e.g. `user:add` by a non-admin)
+  FORBIDDEN: "FORBIDDEN",
+  // No document with that id in the user's scope (or in the trash, for `restore`)
+  NOT_FOUND: "NOT_FOUND",
+  // `version` is stale; details: { id, version, current }
+  VERSION_CONFLICT: "VERSION_CONFLICT",
+  // The document's status does not allow the change (e.g. editing a completed assignment); details: { status }
+  INVALID_STATE: "INVALID_STATE",
+  // A unique field (e.g. a user's email) is already taken
+  DUPLICATE: "DUPLICATE",
+  // Write event budget spent; details: { retryAfter } in seconds
+  RATE_LIMITED: "RATE_LIMITED",
+  // The connection already holds SOCKET_MAX_SUBSCRIPTIONS live queries; details: { max }
+  TOO_MANY_SUBSCRIPTIONS: "TOO_MANY_SUBSCRIPTIONS",
+  // Another user holds the editing lock; details: { editor: { id, name, expiresAt } }
+  LOCKED: "LOCKED",
+  // Anything unexpected; the server log has the cause
+  INTERNAL_ERROR: "INTERNAL_ERROR"
+};
+
+/**
+ * Error raised by a socket handler, answered to the client as is
+ */
+class SocketEventError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = "SocketEventError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Map any error thrown while handling an event to a SocketEventError
+ * @param {Error} err - Thrown error
+ * @param {string} fallbackMessage - Message for unexpected errors (e.g. 'Failed to create todo')
+ * @returns {SocketEventError}
+ */
+const toSocketError = (err, fallbackMessage) => {
+  if (err instanceof SocketEventError) {
+    return err;
+  }
+  if (err.name === "ValidationError") {
+    return new SocketEventError(
+      ERROR_CODES.VALIDATION_FAILED,
+      "Validation failed",
+      Object.values(err.errors).map((error) => ({ field: error.path, message: error.message, value: error.value }))
+    );
+  }
+  if (err.name === "CastError") {
+    return new SocketEventError(
+      ERROR_CODES.VALIDATION_FAILED,
+      "Validation failed",
+      [{ field: err.path, message: `Invalid value for ${err.path}`, value: err.value }]
+    );
+  }
+  if (err.name === "WorkflowError") {
+    const codes = { 403: ERROR_CODES.FORBIDDEN, 404: ERROR_CODES.NOT_FOUND, 409: ERROR_CODES.INVALID_STATE };
+    return new SocketEventError(codes[err.status] || ERROR_CODES.INTERNAL_ERROR, err.message, err.details || null);
+  }
+  if (err.code === 11000) {
+    return new SocketEventError(ERROR_CODES.DUPLICATE, "Duplicate value for a unique field", {
+      fields: Object.keys(err.keyValue || {})
+    });
+  }
+  return new SocketEventError(ERROR_CODES.INTERNAL_ERROR, fallbackMessage);
+};
+
+/**
+ * Acknowledgement payload for a failed event
+ */
+const errorReply = (error) => ({
+  ok: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+module.exports = {
+  ERROR_CODES,
+  SocketEventError,
+  toSocketError,
+  errorReply
+};
@@ -0,0 +1,94 @@
+/**
+ * Socket Event Log
+ * Every change broadcast gets a sequence number from a shared counter, so numbers
+ * increase across all instances, and is stored in a capped collection for `sync` replay.
+ */
+
+const Counter = require("../models/counters");
+const SocketEvent = require("../models/socketEvents");
+
+const COUNTER_ID = "socketEvents";
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Reserve `count` consecutive sequence numbers
+ * @returns {Promise<number>} The first reserved number
+ */
+const reserve = async (count) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: COUNTER_ID },
+    { $inc: { seq: count } },
+    { upsert: true, new: true }
+  );
+  return counter.seq - count + 1;
+};
+
+/**
+ * Log one event
+ * @param {Object} entry - { resource, action, rooms, data, key? }
+ * @returns {Promise<number>} Its sequence number. With a `key` already logged by
+ *   another instance, the existing entry's number.
+ */
+const appendEvent = async (entry) => {
+  const seq = await reserve(1);
+  try {
+    await SocketEvent.create({ _id: seq, ...entry });
+    return seq;
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY && entry.key) {
+      const existing = await SocketEvent.findOne({ key: entry.key }).select('_id').lean();
+      if (existing) {
+        return existing._id;
+      }
+    }
+    throw err;
+  }
+};
+
+/**
+ * Log several events with consecutive sequence numbers
+ * @param {Object[]} entries - { resource, action, rooms, data }
+ * @returns {Promise<number>} The last sequence number
+ */
+const appendEvents = async (entries) => {
+  const first = await reserve(entries.length);
+  await SocketEvent.insertMany(entries.map((entry, index) => ({ _id: first + index, ...entry })));
+  return first + entries.length - 1;
+};
+
+/**
+ * Highest sequence number handed out so far (0 when nothing was logged)
+ */
+const latestSeq = async () => {
+  const counter = await Counter.findById(COUNTER_ID).lean();
+  return counter ? counter.seq : 0;
+};
+
+/**
+ * Oldest sequence number still in the log, or null when it is empty
+ */
+const oldestSeq = async () => {
+  const oldest = await SocketEvent.findOne().sort({ _id: 1 }).select('_id').lean();
+  return oldest ? oldest._id : null;
+};
+
+/**
+ * Events after `since` that were delivered to any of the given rooms
+ * @param {number} since - Last sequence number the client saw
+ * @param {string[]} rooms - The client socket's rooms
+ * @param {number} limit - Maximum number of events
+ */
+const eventsSince = (since, rooms, limit) => {
+  return SocketEvent.find({ _id: { $gt: since }, rooms: { $in: rooms } })
+    .sort({ _id: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = {
+  appendEvent,
+  appendEvents,
+  latestSeq,
+  oldestSeq,
+  eventsSince
+};
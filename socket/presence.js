@@ -0,0 +1,75 @@
+/**
+ * Cluster-wide Presence
+ * The `count` event carries the number of distinct client addresses connected to
+ * any instance. Sockets are listed with `io.fetchSockets()`, which goes through the
+ * adapter, so the count is the same on every instance.
+ */
+
+const { logger } = require("../utils/logger");
+const { presenceDebounceMs, presenceRefreshMs } = require("../config/socket");
+
+const log = logger.child({ component: "presence" });
+
+/**
+ * Count distinct addresses across the cluster
+ * Falls back to this instance's sockets when another instance does not answer
+ * @param {Server} io - Socket.io server
+ * @returns {Promise<number>}
+ */
+const countPresence = async (io) => {
+  let sockets;
+  try {
+    sockets = await io.fetchSockets();
+  } catch (err) {
+    log.warn("Cluster presence unavailable, counting local sockets", { err });
+    sockets = [...io.of("/").sockets.values()];
+  }
+  return new Set(sockets.map((socket) => socket.handshake.address)).size;
+};
+
+/**
+ * Start presence tracking
+ * @param {Server} io - Socket.io server
+ * @returns {Object} { changed, stop } - call changed() after every connect/disconnect
+ */
+const createPresence = (io) => {
+  let timer = null;
+  let lastCount = null;
+
+  const broadcast = async ({ onlyIfChanged }) => {
+    const count = await countPresence(io);
+    if (onlyIfChanged && count === lastCount) {
+      return;
+    }
+    lastCount = count;
+    // A local change is sent to every instance's clients; periodic refreshes stay local
+    (onlyIfChanged ? io.local : io).emit("count", { count });
+  };
+
+  const changed = () => {
+    if (timer) {
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      broadcast({ onlyIfChanged: false }).catch((err) => log.error("Presence broadcast failed", { err }));
+    }, presenceDebounceMs);
+  };
+
+  const refresh = setInterval(() => {
+    broadcast({ onlyIfChanged: true }).catch((err) => log.error("Presence refresh failed", { err }));
+  }, presenceRefreshMs);
+  refresh.unref();
+
+  const stop = () => {
+    clearTimeout(timer);
+    clearInterval(refresh);
+  };
+
+  return { changed, stop };
+};
+
+module.exports = {
+  countPresence,
+  createPresence
+};
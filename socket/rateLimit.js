@@ -0,0 +1,37 @@
+/**
+ * Socket Event Budget
+ * Limits how many write events (add/update/delete/restore) and document presence
+ * events (join/typing/lock/unlock) one user may send per window, so a misbehaving
+ * client can't hammer MongoDB or flood other viewers. The budget is shared by all
+ * of the user's connections and runs out with the window, so reconnecting does not
+ * refill it. Over budget, the event is dropped and answered with RATE_LIMITED and
+ * `retryAfter` in seconds.
+ */
+
+const { createRateLimiter } = require("../utils/rateLimiter");
+const { ERROR_CODES, SocketEventError } = require("./errors");
+const { socketWindowMs, socketMaxEvents } = require("../config/rateLimit");
+
+const limiter = createRateLimiter({ windowMs: socketWindowMs, max: socketMaxEvents });
+
+/**
+ * Spend one event from the budget of the socket's user
+ * @param {Socket} socket - Authenticated client socket
+ * @throws {SocketEventError} RATE_LIMITED when the event must be dropped
+ */
+const takeEventBudget = (socket) => {
+  const { allowed, resetMs } = limiter.hit(`user:${socket.data.user.id}`);
+
+  if (!allowed) {
+    const retryAfter = Math.ceil(resetMs / 1000);
+    throw new SocketEventError(
+      ERROR_CODES.RATE_LIMITED,
+      `Too many events, please try again in ${retryAfter} seconds`,
+      { retryAfter }
+    );
+  }
+};
+
+module.exports = {
+  takeEventBudget
+};
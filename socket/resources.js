@@ -0,0 +1,83 @@
+/**
+ * Socket.io Resource Definitions
+ * Per-model configuration consumed by the socket CRUD handlers and live queries
+ */
+
+const Todo = require("../models/todos");
+const users = require("../models/users");
+const Assignment = require("../models/assignments");
+const resources = require("../config/resources");
+const { SCOPES } = require("../utils/scope");
+const { checkEdit } = require("../utils/assignmentWorkflow");
+const {
+  createTodoValidators,
+  updateTodoValidators,
+  createUserValidators,
+  updateUserValidators,
+  createAssignmentValidators,
+  updateAssignmentValidators
+} = require("../utils/validators");
+
+module.exports = [
+  {
+    Model: Todo,
+    resource: "todo",
+    label: "Todo",
+    sort: { createdAt: -1 },
+    build: (data) => ({
+      title: data.title,
+      description: data.description,
+      complete: false,
+      priority: data.priority || 'medium',
+      dueDate: data.dueDate,
+      assignee: data.assignee
+    }),
+    describe: (todo) => todo.title,
+    scope: SCOPES.todos,
+    ownerField: "owner",
+    createValidators: createTodoValidators,
+    updateValidators: updateTodoValidators,
+    writable: resources.todos.writable,
+    filterable: resources.todos.filterable
+  },
+  {
+    Model: users,
+    resource: "user",
+    label: "User",
+    sort: { createdAt: -1 },
+    build: (data) => ({
+      first_name: data.first_name,
+      last_name: data.last_name,
+      picture: data.picture,
+      email: data.email
+    }),
+    describe: (user) => `${user.first_name} ${user.last_name}`,
+    // Regular users can only see and edit their own profile
+    scope: SCOPES.users,
+    // Accounts are created through /auth/register; only admins add users directly
+    adminOnlyCreate: true,
+    createValidators: createUserValidators,
+    updateValidators: updateUserValidators,
+    writable: resources.users.writable
+  },
+  {
+    Model: Assignment,
+    resource: "assignment",
+    label: "Assignment",
+    sort: { dueDate: 1 },
+    build: (data) => ({
+      title: data.title,
+      content: data.content,
+      dueDate: data.dueDate,
+      assignee: data.assignee
+    }),
+    describe: (assignment) => assignment.title,
+    scope: SCOPES.assignments,
+    ownerField: "owner",
+    createValidators: createAssignmentValidators,
+    updateValidators: updateAssignmentValidators,
+    writable: resources.assignments.writable,
+    checkUpdate: checkEdit,
+    filterable: resources.assignments.filterable
+  }
+];
@@ -0,0 +1,320 @@
+/**
+ * Socket Live Queries
+ * Instead of loading everything with `all` and hearing about every change, a client sends
+ * `<resource>:subscribe` with a filter using the fields and operators of the REST list
+ * filters, e.g. `{ filter: { priority: "high", complete: false } }` or
+ * `{ filter: { dueDate: { lt: "2026-01-01" } } }`. The reply carries a `subscriptionId` and
+ * the matching documents; afterwards the socket receives, with `{ seq, subscriptionId }` as
+ * the second argument:
+ *   `<resource>:entered` - a document started matching (created, restored or changed)
+ *   `<resource>:changed` - a matching document changed and still matches
+ *   `<resource>:left`    - `{ id }` of a document that stopped matching or was deleted
+ * While a socket holds a live query on a resource it no longer gets that resource's plain
+ * change events (`added`, `updated`, `deleted`, `restored`, `bulk`).
+ * `<resource>:unsubscribe` with `{ subscriptionId }` ends a live query; all of them end when
+ * the socket disconnects. Resources without filterable fields (users) have no live queries.
+ *
+ * Live queries are kept in the memory of the instance the socket is connected to. Changes
+ * announced by another instance are relayed to every instance through the adapter.
+ */
+
+const crypto = require("crypto");
+const sift = require("sift");
+const socketResources = require("./resources");
+const { ERROR_CODES, SocketEventError, toSocketError, errorReply } = require("./errors");
+const { FilterError, buildFilter, mergeFilters } = require("../utils/filterQuery");
+const { adapter, maxSubscriptions } = require("../config/socket");
+const { logger, withLogContext } = require("../utils/logger");
+
+// Server-side event relaying changes to the live queries of the other instances
+const REMOTE_CHANGES_EVENT = "live:changes";
+
+// Socket id -> { socket, subscriptions: Map of subscription id -> subscription }
+const subscribers = new Map();
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Room of the sockets holding a live query on a resource; plain change events skip it
+ * @param {string} resource - Event namespace (e.g. 'todo')
+ */
+const liveRoom = (resource) => `live:${resource}`;
+
+// Plain JSON, safe to relay through any adapter
+const toWire = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * A changed document as stored in MongoDB (ids and dates restored), for matching filters
+ */
+const toMatchable = (Model, doc) => Model.hydrate(doc).toObject({ depopulate: true });
+
+/**
+ * Parse a subscription filter with the resource's REST filter whitelist
+ * Values may be sent as JSON types (`complete: false`); unknown fields are rejected
+ * @throws {SocketEventError} VALIDATION_FAILED
+ */
+const parseFilter = (filter, filterable) => {
+  const stringify = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(String);
+    }
+    return isObject(value) ? value : String(value);
+  };
+
+  try {
+    const query = {};
+    Object.entries(filter).forEach(([field, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(filterable, field)) {
+        throw new FilterError(field, value, `Cannot filter by ${field}; filterable fields are: ${Object.keys(filterable).join(", ")}`);
+      }
+      query[field] = isObject(value)
+        ? Object.fromEntries(Object.entries(value).map(([operator, item]) => [operator, stringify(item)]))
+        : stringify(value);
+    });
+    return buildFilter(query, filterable);
+  } catch (err) {
+    if (!(err instanceof FilterError)) {
+      throw err;
+    }
+    throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", [
+      { field: `filter.${err.path}`, message: err.message, value: err.value }
+    ]);
+  }
+};
+
+/**
+ * Tell one socket how a change affects its live query
+ */
+const deliver = (socket, subscription, change, seq) => {
+  const { action, id, doc, data } = change;
+  const wasIn = subscription.ids.has(id);
+  const isIn = action !== "deleted" && subscription.matches(doc);
+
+  let event = null;
+  let payload = data;
+  if (isIn) {
+    subscription.ids.add(id);
+    event = wasIn ? "changed" : "entered";
+  } else if (wasIn) {
+    subscription.ids.delete(id);
+    event = "left";
+    payload = { id };
+  }
+
+  if (event) {
+    socket.emit(`${subscription.resource}:${event}`, payload, { seq, subscriptionId: subscription.id });
+  }
+};
+
+/**
+ * Run changes against the live queries held by this instance's sockets
+ */
+const applyChanges = (resource, changes, seq) => {
+  const matching = [];
+  subscribers.forEach(({ socket, subscriptions }) => {
+    subscriptions.forEach((subscription) => {
+      if (subscription.resource === resource) {
+        matching.push({ socket, subscription });
+      }
+    });
+  });
+  if (matching.length === 0) {
+    return;
+  }
+
+  const { Model } = socketResources.find((options) => options.resource === resource);
+  const prepared = changes.map(({ action, doc, data }) => ({
+    action,
+    id: String(doc._id),
+    doc: toMatchable(Model, doc),
+    data
+  }));
+
+  matching.forEach(({ socket, subscription }) => {
+    prepared.forEach((change) => {
+      if (subscription.pending) {
+        // The snapshot is still loading; applied once it has been sent
+        subscription.pending.push({ change, seq });
+      } else {
+        deliver(socket, subscription, change, seq);
+      }
+    });
+  });
+};
+
+/**
+ * Update live queries after changes were announced
+ * Called by socket/broadcast.js for every change event it emits
+ * @param {Server|BroadcastOperator} io - Socket.io server, or `io.local` when every instance announces the change itself
+ * @param {string} resource - Event namespace (e.g. 'todo')
+ * @param {Object[]} changes - `[{ action, doc, data }]`: action, changed document and event data
+ * @param {number|null} seq - Event log sequence number
+ */
+const publishChanges = (io, resource, changes, seq) => {
+  try {
+    const wire = changes.map(({ action, doc, data }) => ({ action, doc: toWire(doc), data: toWire(data) }));
+
+    applyChanges(resource, wire, seq);
+
+    // The in-memory adapter has no other instances (and warns on serverSideEmit)
+    if (adapter !== "memory" && typeof io.serverSideEmit === "function") {
+      io.serverSideEmit(REMOTE_CHANGES_EVENT, { resource, changes: wire, seq });
+    }
+  } catch (err) {
+    logger.error("Failed to update live queries", { resource, err });
+  }
+};
+
+/**
+ * Apply changes relayed by the other instances
+ * @param {Server} io - Socket.io server instance
+ */
+const listenForRemoteChanges = (io) => {
+  io.on(REMOTE_CHANGES_EVENT, ({ resource, changes, seq }) => {
+    try {
+      applyChanges(resource, changes, seq);
+    } catch (err) {
+      logger.error("Failed to update live queries", { resource, err });
+    }
+  });
+};
+
+/**
+ * Register `<resource>:subscribe` and `<resource>:unsubscribe` on a socket
+ * Replies go through the acknowledgement callback, or as `<resource>:subscribed` and
+ * `<resource>:unsubscribed` events without one.
+ * @param {Socket} socket - Connected client socket
+ */
+const registerSubscriptionHandlers = (socket) => {
+  const user = socket.data.user;
+  const subscriptions = new Map();
+  subscribers.set(socket.id, { socket, subscriptions });
+
+  const reply = (ack, event, data) => {
+    if (typeof ack === "function") {
+      ack({ ok: true, data });
+    } else {
+      socket.emit(event, data);
+    }
+  };
+
+  const fail = (ack, event, failureMessage, err) => {
+    const error = toSocketError(err, failureMessage);
+    if (error.code === ERROR_CODES.INTERNAL_ERROR) {
+      logger.error(failureMessage, { err });
+    } else {
+      logger.warn("Live query rejected", { code: error.code, details: error.details });
+    }
+
+    if (typeof ack === "function") {
+      ack(errorReply(error));
+    } else {
+      socket.emit("error", { message: error.message, code: error.code, event, details: error.details });
+    }
+  };
+
+  const remove = (subscription) => {
+    subscriptions.delete(subscription.id);
+    const stillLive = [...subscriptions.values()].some((other) => other.resource === subscription.resource);
+    if (!stillLive) {
+      socket.leave(liveRoom(subscription.resource));
+    }
+  };
+
+  const on = (event, handler) => {
+    socket.on(event, (data, ack) => withLogContext(
+      { requestId: socket.data.requestId, socketId: socket.id, userId: user.id, event },
+      () => handler(data, ack, event)
+    ));
+  };
+
+  socketResources
+    .filter((options) => options.filterable)
+    .forEach(({ Model, resource, label, sort, scope, filterable }) => {
+      const scopeFilter = user.role === 'admin' ? {} : scope(user);
+      const name = label.toLowerCase();
+
+      on(`${resource}:subscribe`, async (data, ack, event) => {
+        try {
+          if (!isObject(data)) {
+            throw new SocketEventError(ERROR_CODES.INVALID_PAYLOAD, "Event data must be an object");
+          }
+          const filter = data.filter === undefined ? {} : data.filter;
+          if (!isObject(filter)) {
+            throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", [
+              { field: "filter", message: "Filter must be an object", value: filter }
+            ]);
+          }
+          if (subscriptions.size >= maxSubscriptions) {
+            throw new SocketEventError(
+              ERROR_CODES.TOO_MANY_SUBSCRIPTIONS,
+              `A connection can hold at most ${maxSubscriptions} live queries`,
+              { max: maxSubscriptions }
+            );
+          }
+
+          const query = mergeFilters(scopeFilter, parseFilter(filter, filterable));
+          const subscription = {
+            id: crypto.randomUUID(),
+            resource,
+            matches: sift(query),
+            ids: new Set(),
+            // Changes arriving while the snapshot loads wait here
+            pending: []
+          };
+
+          // Registered before reading so no change between the read and the reply is lost
+          subscriptions.set(subscription.id, subscription);
+          socket.join(liveRoom(resource));
+
+          let docs;
+          try {
+            docs = await Model.find(query).sort(sort);
+          } catch (err) {
+            remove(subscription);
+            throw err;
+          }
+
+          docs.forEach((doc) => subscription.ids.add(doc._id.toString()));
+          reply(ack, `${resource}:subscribed`, { subscriptionId: subscription.id, data: docs });
+
+          const { pending } = subscription;
+          subscription.pending = null;
+          pending.forEach(({ change, seq }) => deliver(socket, subscription, change, seq));
+
+          logger.debug("Live query started", { subscriptionId: subscription.id, filter, count: docs.length });
+        } catch (err) {
+          fail(ack, event, `Failed to subscribe to ${name}s`, err);
+        }
+      });
+
+      on(`${resource}:unsubscribe`, (data, ack, event) => {
+        try {
+          if (!isObject(data)) {
+            throw new SocketEventError(ERROR_CODES.INVALID_PAYLOAD, "Event data must be an object");
+          }
+          const subscription = subscriptions.get(data.subscriptionId);
+          if (!subscription || subscription.resource !== resource) {
+            throw new SocketEventError(ERROR_CODES.NOT_FOUND, "Subscription not found");
+          }
+
+          remove(subscription);
+          reply(ack, `${resource}:unsubscribed`, { subscriptionId: subscription.id });
+          logger.debug("Live query ended", { subscriptionId: subscription.id });
+        } catch (err) {
+          fail(ack, event, `Failed to unsubscribe from ${name}s`, err);
+        }
+      });
+    });
+
+  socket.on("disconnect", () => {
+    subscribers.delete(socket.id);
+  });
+};
+
+module.exports = {
+  liveRoom,
+  publishChanges,
+  listenForRemoteChanges,
+  registerSubscriptionHandlers
+};
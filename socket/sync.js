@@ -0,0 +1,173 @@
+/**
+ * Socket Sync Handler
+ * Change events carry `{ seq }` as their second argument. After reconnecting, a client
+ * sends `sync` with the last `seq` it saw and receives a `sync` reply with either
+ * - `mode: "events"`: the events it missed, oldest first, or
+ * - `mode: "snapshot"`: the first page of every document it can see, when it sent no
+ *   `since`, is further behind than the event log reaches or missed more than
+ *   SOCKET_MAX_REPLAY_EVENTS events. Pages hold at most MAX_LIMIT documents per resource
+ *   and `cursors` holds the cursor of each resource's next page (null when complete).
+ * Both replies include `seq`, the position to continue from. Further pages are fetched by
+ * sending `sync` with `{ resource, after }` and come back as `mode: "page"` with `data`
+ * and `nextCursor`. With an acknowledgement callback the reply comes back as
+ * `{ ok: true, data: reply }` instead of an event.
+ */
+
+const socketResources = require("./resources");
+const { latestSeq, oldestSeq, eventsSince } = require("./eventLog");
+const { ERROR_CODES, SocketEventError, toSocketError, errorReply } = require("./errors");
+const { maxReplayEvents } = require("../config/socket");
+const { cursorPage } = require("../utils/listQuery");
+const { logger, withLogContext } = require("../utils/logger");
+
+/**
+ * One page of the documents of a resource the socket's user may see
+ */
+const pageFor = ({ Model, sort, scope }, user, after) => cursorPage({
+  Model,
+  filter: user.role === 'admin' ? {} : scope(user),
+  sort,
+  after
+});
+
+/**
+ * The first page of every resource the socket's user may see, with each next page's cursor
+ */
+const snapshotFor = async (user) => {
+  const data = {};
+  const cursors = {};
+  for (const config of socketResources) {
+    const page = await pageFor(config, user);
+    data[config.resource] = page.data;
+    cursors[config.resource] = page.nextCursor;
+  }
+  return { data, cursors };
+};
+
+/**
+ * A later snapshot page of one resource
+ */
+const nextPage = async (user, resource, after) => {
+  const config = socketResources.find((candidate) => candidate.resource === resource);
+  try {
+    const { data, nextCursor } = await pageFor(config, user, after);
+    return { mode: "page", resource, data, nextCursor };
+  } catch (err) {
+    if (err.message === "Invalid cursor") {
+      throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", [
+        { field: "after", message: "Invalid cursor", value: after }
+      ]);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Validation errors for a `sync` payload
+ */
+const validatePayload = ({ since, resource, after }) => {
+  const errors = [];
+  if (since !== undefined && since !== null && (!Number.isInteger(since) || since < 0)) {
+    errors.push({ field: "since", message: "since must be a non-negative integer", value: since });
+  }
+  if (after !== undefined) {
+    if (typeof after !== "string" || after === "") {
+      errors.push({ field: "after", message: "Invalid cursor", value: after });
+    }
+    if (!socketResources.some((config) => config.resource === resource)) {
+      errors.push({
+        field: "resource",
+        message: `resource must be one of: ${socketResources.map((config) => config.resource).join(", ")}`,
+        value: resource
+      });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Missed events for the socket, or null when a snapshot is needed
+ */
+const missedEvents = async (socket, since, latest) => {
+  if (since > latest) {
+    // The client has numbers from a log that no longer exists
+    return null;
+  }
+
+  const oldest = await oldestSeq();
+  const truncated = oldest === null ? since < latest : since + 1 < oldest;
+  if (truncated) {
+    return null;
+  }
+
+  const entries = await eventsSince(since, [...socket.rooms], maxReplayEvents + 1);
+  if (entries.length > maxReplayEvents) {
+    return null;
+  }
+
+  return entries.map((entry) => ({
+    seq: entry._id,
+    event: `${entry.resource}:${entry.action}`,
+    data: entry.data
+  }));
+};
+
+/**
+ * Register the `sync` event on a socket
+ * @param {Socket} socket - Connected client socket
+ */
+const registerSyncHandler = (socket) => {
+  const user = socket.data.user;
+
+  const buildReply = async (since) => {
+    // Read first: anything logged from here on is sent again rather than skipped
+    const latest = await latestSeq();
+    const events = Number.isInteger(since) ? await missedEvents(socket, since, latest) : null;
+
+    if (events) {
+      const seq = events.length > 0 ? Math.max(latest, events[events.length - 1].seq) : latest;
+      logger.debug("Replayed missed events", { since, count: events.length });
+      return { mode: "events", seq, events };
+    }
+
+    const { data, cursors } = await snapshotFor(user);
+    logger.info("Sent sync snapshot", { since: Number.isInteger(since) ? since : null, seq: latest });
+    return { mode: "snapshot", seq: latest, data, cursors };
+  };
+
+  socket.on("sync", (data, ack) => withLogContext(
+    { requestId: socket.data.requestId, socketId: socket.id, userId: user.id, event: "sync" },
+    async () => {
+      const acked = typeof ack === "function";
+      const payload = data || {};
+
+      try {
+        const errors = validatePayload(payload);
+        if (errors.length > 0) {
+          throw new SocketEventError(ERROR_CODES.VALIDATION_FAILED, "Validation failed", errors);
+        }
+
+        const reply = payload.after !== undefined
+          ? await nextPage(user, payload.resource, payload.after)
+          : await buildReply(payload.since);
+        if (acked) {
+          ack({ ok: true, data: reply });
+        } else {
+          socket.emit("sync", reply);
+        }
+      } catch (err) {
+        const error = toSocketError(err, "Failed to sync");
+        if (error.code === ERROR_CODES.INTERNAL_ERROR) {
+          logger.error("Failed to sync", { err });
+        }
+        if (acked) {
+          ack(errorReply(error));
+        } else {
+          socket.emit("error", { message: error.message, code: error.code, event: "sync", details: error.details });
+        }
+      }
+    }
+  ));
+};
+
+module.exports = registerSyncHandler;
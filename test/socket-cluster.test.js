@@ -0,0 +1,141 @@
+/**
+ * Socket.io Cluster Tests
+ * Runs two Socket.io servers in one process, joined by an in-memory cluster adapter that
+ * stands in for Redis or MongoDB, and checks that emits and presence span both instances.
+ *
+ * Usage: npm test
+ */
+
+process.env.LOG_LEVEL = "silent";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter, once } = require("node:events");
+const http = require("node:http");
+const { Server } = require("socket.io");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+const { io: connect } = require("socket.io-client");
+const setupAdapter = require("../socket/adapter");
+const { countPresence, createPresence } = require("../socket/presence");
+
+/**
+ * Adapter factory whose instances relay cluster messages over a shared in-process bus,
+ * asynchronously like a real broker
+ */
+const createMemoryClusterAdapter = (bus = new EventEmitter()) => {
+  class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.onBusMessage = (message) => this.onMessage(message);
+      this.onBusResponse = (requesterUid, response) => {
+        if (requesterUid === this.uid) {
+          this.onResponse(response);
+        }
+      };
+      bus.on("message", this.onBusMessage);
+      bus.on("response", this.onBusResponse);
+    }
+
+    doPublish(message) {
+      setImmediate(() => bus.emit("message", message));
+      return Promise.resolve("");
+    }
+
+    doPublishResponse(requesterUid, response) {
+      setImmediate(() => bus.emit("response", requesterUid, response));
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      bus.off("message", this.onBusMessage);
+      bus.off("response", this.onBusResponse);
+    }
+  }
+
+  // Socket.io calls the factory with `new`, so it cannot be an arrow function
+  return function (nsp) {
+    return new MemoryClusterAdapter(nsp);
+  };
+};
+
+const startServer = async (adapter) => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer, { adapter });
+  httpServer.listen(0, "127.0.0.1");
+  await once(httpServer, "listening");
+  return { io, port: httpServer.address().port };
+};
+
+// Presence counts distinct addresses, so each client connects from its own loopback address
+const connectClient = async (port, localAddress) => {
+  const client = connect(`http://127.0.0.1:${port}`, { transports: ["websocket"], localAddress });
+  await once(client, "connect");
+  return client;
+};
+
+// Resolves with the data of the next `event` a client receives
+const nextEvent = (client, event) => new Promise((resolve) => client.once(event, resolve));
+
+// Resolves once the server has heard from `count` other instances
+const waitForPeers = async (io, count) => {
+  while ((await io.of("/").adapter.serverCount()) < count + 1) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+let serverA;
+let serverB;
+let clientA;
+let clientB;
+
+before(async () => {
+  const adapter = createMemoryClusterAdapter();
+  serverA = await startServer(adapter);
+  serverB = await startServer(adapter);
+  await Promise.all([waitForPeers(serverA.io, 1), waitForPeers(serverB.io, 1)]);
+
+  serverB.io.on("connection", (socket) => socket.join("user:b"));
+  clientA = await connectClient(serverA.port, "127.0.0.1");
+  clientB = await connectClient(serverB.port, "127.0.0.2");
+});
+
+after(() => {
+  clientA.disconnect();
+  clientB.disconnect();
+  serverA.io.close();
+  serverB.io.close();
+});
+
+test("setupAdapter keeps the built-in adapter for SOCKET_ADAPTER=memory", async () => {
+  const io = new Server();
+  const { name } = await setupAdapter(io);
+
+  assert.equal(name, "memory");
+  assert.equal(io.of("/").adapter.constructor.name, "Adapter");
+});
+
+test("an emit on one server reaches a client connected to the other", async () => {
+  const received = nextEvent(clientB, "todo:updated");
+  serverA.io.to("user:b").emit("todo:updated", { title: "From server A" });
+
+  assert.deepEqual(await received, { title: "From server A" });
+});
+
+test("presence counts the clients of every instance", async () => {
+  assert.equal(await countPresence(serverA.io), 2);
+  assert.equal(await countPresence(serverB.io), 2);
+
+  const presence = createPresence(serverA.io);
+  try {
+    const counts = Promise.all([
+      nextEvent(clientA, "count"),
+      nextEvent(clientB, "count")
+    ]);
+    presence.changed();
+
+    assert.deepEqual(await counts, [{ count: 2 }, { count: 2 }]);
+  } finally {
+    presence.stop();
+  }
+});
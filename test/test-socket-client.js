@@ -5,13 +5,15 @@
  * 
  * Usage:
  *   1. Start server: npm run dev
- *   2. Run this test: node test/test-socket-client.js
+ *   2. Get an access token from POST /auth/login
+ *   3. Run this test: ACCESS_TOKEN=<token> node test/test-socket-client.js
  */
 
 const io = require('socket.io-client');
 
 // Configuration
 const SERVER_URL = 'http://localhost:3000';
+const ACCESS_TOKEN = process.env.ACCESS_TOKEN;
 const TEST_TODO = {
     title: 'Test from Node.js Script',
     description: 'Automated Socket.io testing',
@@ -20,7 +22,9 @@ const TEST_TODO = {
 
 // Connect to server
 console.log('🔌 Connecting to', SERVER_URL);
-const socket = io(SERVER_URL);
+const socket = io(SERVER_URL, {
+    auth: { token: ACCESS_TOKEN }
+});
 
 // Track test todo ID for cleanup
 let createdTodoId = null;
@@ -150,8 +154,9 @@ socket.on('error', (error) => {
 socket.on('connect_error', (error) => {
     console.error('❌ Connection Error:', error.message);
     console.error('');
-    console.error('Make sure the server is running:');
+    console.error('Make sure the server is running and ACCESS_TOKEN is valid:');
     console.error('  npm run dev');
+    console.error('  ACCESS_TOKEN=<token> node test/test-socket-client.js');
     console.error('');
     process.exit(1);
 });
@@ -0,0 +1,202 @@
+/**
+ * Assignment Workflow
+ * `status`, `submittedDate` and `grade` only change through these actions, which
+ * enforce the status state machine:
+ *
+ *   pending --start--> in-progress --submit--> completed --grade--> completed (graded)
+ *   pending | in-progress --cancel--> cancelled
+ *
+ * Submissions after the due date are flagged with `late: true` or refused,
+ * depending on ASSIGNMENT_LATE_POLICY (see config/assignments.js).
+ *
+ * The assignee starts and submits (the owner, while nobody is assigned); the owner or
+ * an admin cancels.
+ *
+ * Edits to the other fields go through `checkEdit`: only the owner or an admin moves the
+ * due date or reassigns, and nothing changes once the assignment is completed or cancelled.
+ */
+
+const Assignment = require("../models/assignments");
+const { latePolicy, lateGraceMs } = require("../config/assignments");
+const { isAdmin, scopedById } = require("./scope");
+
+const isUser = (ref, user) => Boolean(ref) && String(ref) === user.id;
+
+// Who works on an assignment: its assignee, or its owner while nobody is assigned
+const isWorker = (assignment, user) => isUser(assignment.assignee || assignment.owner, user);
+
+const isOwnerOrAdmin = (assignment, user) => isAdmin(user) || isUser(assignment.owner, user);
+
+// Status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  pending: ["in-progress", "cancelled"],
+  "in-progress": ["completed", "cancelled"],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses after which the assignment's fields can no longer be edited
+const FINISHED_STATUSES = ["completed", "cancelled"];
+
+// Fields only the owner or an admin may change
+const OWNER_FIELDS = ["dueDate", "assignee"];
+
+// Action -> status it moves to, the socket event announcing it and who may take it
+const ACTIONS = {
+  start: { to: "in-progress", event: "started", allowed: isWorker, who: "the assignee (or the owner while unassigned)" },
+  submit: { to: "completed", event: "submitted", allowed: isWorker, who: "the assignee (or the owner while unassigned)" },
+  cancel: { to: "cancelled", event: "cancelled", allowed: isOwnerOrAdmin, who: "the owner or an admin" }
+};
+
+/**
+ * Error for a refused workflow action, carrying the HTTP status to answer with
+ */
+class WorkflowError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = "WorkflowError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether an assignment may move from one status to another
+ */
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Whether a submission at `at` is past the due date (plus grace period)
+ */
+const isLate = (assignment, at) => at.getTime() > new Date(assignment.dueDate).getTime() + lateGraceMs;
+
+// Whether an update leaves a field as it is (dates compared by time, references by id)
+const isUnchanged = (field, current, value) => (field === "dueDate"
+  ? new Date(current).getTime() === new Date(value).getTime()
+  : String(current ?? "") === String(value ?? ""));
+
+/**
+ * Check that a user may apply an edit to an assignment
+ * Shared by PUT/PATCH, the socket `assignment:update` event and bulk updates
+ * @param {Object} assignment - Current assignment
+ * @param {Object} updates - Field -> new value; undefined fields are left alone
+ * @param {Object} user - Acting user (`req.user`)
+ * @throws {WorkflowError} 409 once the assignment is completed or cancelled, 403 when anyone
+ *   but the owner or an admin changes the due date or assignee
+ */
+const checkEdit = (assignment, updates, user) => {
+  if (FINISHED_STATUSES.includes(assignment.status)) {
+    throw new WorkflowError(409, `Cannot edit an assignment that is ${assignment.status}`, {
+      status: assignment.status
+    });
+  }
+
+  const changed = OWNER_FIELDS.filter(
+    (field) => updates[field] !== undefined && !isUnchanged(field, assignment[field], updates[field])
+  );
+  if (changed.length > 0 && !isOwnerOrAdmin(assignment, user)) {
+    throw new WorkflowError(403, `Only the owner or an admin may change ${changed.join(" and ")}`, {
+      fields: changed
+    });
+  }
+};
+
+/**
+ * Apply an update only if the assignment still has the status it was checked against
+ * @throws {WorkflowError} 409 when someone else changed the status in between
+ */
+const updateFrom = async (assignment, update, audit) => {
+  const updated = await Assignment.findOneAndUpdate(
+    { _id: assignment._id, status: assignment.status },
+    { $set: { ...update, updatedAt: Date.now() } },
+    { new: true, runValidators: true, audit }
+  );
+  if (!updated) {
+    throw new WorkflowError(409, "Assignment was changed by someone else, please try again");
+  }
+  return updated;
+};
+
+const findAssignment = async (filter) => {
+  const assignment = await Assignment.findOne(filter);
+  if (!assignment) {
+    throw new WorkflowError(404, "Assignment not found");
+  }
+  return assignment;
+};
+
+/**
+ * Move an assignment along the state machine
+ * @param {string} id - Assignment id
+ * @param {string} action - 'start', 'submit' or 'cancel'
+ * @param {Object} options
+ * @param {Object} options.user - Acting user (`req.user`)
+ * @param {Object} options.audit - Audit context (see utils/audit.js)
+ * @param {Date} [options.now] - Time of the action
+ * @returns {Promise<Object>} { assignment, from, event } - updated assignment, previous status, socket event
+ * @throws {WorkflowError} 404 when missing or outside the user's scope, 403 when the user may not take
+ *   the action, 409 for a disallowed transition or a refused late submission
+ */
+const transition = async (id, action, { user, audit, now = new Date() }) => {
+  const { to, event, allowed, who } = ACTIONS[action];
+  const assignment = await findAssignment(scopedById("assignments", user, id));
+  const from = assignment.status;
+
+  if (!allowed(assignment, user)) {
+    throw new WorkflowError(403, `Only ${who} may ${action} this assignment`);
+  }
+
+  if (!canTransition(from, to)) {
+    throw new WorkflowError(409, `Cannot ${action} an assignment that is ${from}`, {
+      status: from,
+      allowed: STATUS_TRANSITIONS[from]
+    });
+  }
+
+  const update = { status: to };
+  if (action === "submit") {
+    const late = isLate(assignment, now);
+    if (late && latePolicy === "reject") {
+      throw new WorkflowError(409, "The due date has passed; late submissions are not accepted", {
+        dueDate: assignment.dueDate
+      });
+    }
+    update.submittedDate = now;
+    update.late = late;
+  }
+
+  return { assignment: await updateFrom(assignment, update, audit), from, event };
+};
+
+/**
+ * Grade a submitted assignment (grading again replaces the grade)
+ * @param {string} id - Assignment id
+ * @param {number} value - Grade from 0 to 100
+ * @param {Object} options
+ * @param {string} options.graderId - Id of the grading user
+ * @param {Object} options.audit - Audit context (see utils/audit.js)
+ * @returns {Promise<Object>} Updated assignment
+ * @throws {WorkflowError} 404 when missing, 409 when the assignment is not completed
+ */
+const grade = async (id, value, { graderId, audit }) => {
+  const assignment = await findAssignment({ _id: id });
+
+  if (assignment.status !== "completed") {
+    throw new WorkflowError(409, `Only completed assignments can be graded; this one is ${assignment.status}`, {
+      status: assignment.status
+    });
+  }
+
+  return updateFrom(assignment, { grade: value, gradedAt: new Date(), gradedBy: graderId }, audit);
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  FINISHED_STATUSES,
+  ACTIONS,
+  WorkflowError,
+  canTransition,
+  checkEdit,
+  transition,
+  grade
+};
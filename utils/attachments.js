@@ -0,0 +1,298 @@
+/**
+ * Attachment Helpers
+ * `POST /:resource/:id/attachments` takes a multipart upload (field `file`), stores it in
+ * the storage backend (utils/storage.js) and records its metadata in the document's
+ * `attachments` array. `GET` and `DELETE /:resource/:id/attachments/:attachmentId`
+ * download and remove it. Size, type and count limits come from config/storage.js.
+ * Only the uploader, the document's owner or an admin may remove an attachment, and
+ * documents in a `lockedStatuses` status (e.g. a completed assignment) keep theirs as they are.
+ */
+
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { storage, StorageNotFoundError } = require("./storage");
+const { mergeFilters } = require("./filterQuery");
+const { isAdmin } = require("./scope");
+const { maxAttachmentBytes, allowedMimeTypes, maxAttachments } = require("../config/storage");
+const { logger } = require("./logger");
+
+/**
+ * Error for a refused attachment request, carrying the HTTP status to answer with
+ */
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AttachmentError";
+    this.status = status;
+  }
+}
+
+/**
+ * Storage key of an attachment, e.g. `todos/<todoId>/<attachmentId>`
+ */
+const storageKey = (Model, documentId, attachmentId) => (
+  `${Model.collection.collectionName}/${documentId}/${attachmentId}`
+);
+
+/**
+ * Keep only the last path segment of an uploaded filename, without control characters
+ */
+const cleanFilename = (name) => {
+  const filename = path.basename(String(name || "").replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, 255);
+  return filename || "file";
+};
+
+/**
+ * Remove a stored file, logging instead of failing; a leftover file is only wasted space
+ */
+const removeFile = async (key) => {
+  try {
+    await storage.remove(key);
+  } catch (err) {
+    logger.error("Failed to remove attachment file", { key, err });
+  }
+};
+
+/**
+ * Multer middleware for one attachment upload in the `file` field (kept in memory)
+ * Answers 400 for a missing, oversized or disallowed file
+ */
+const attachmentUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxAttachmentBytes, files: 1 },
+    // Browsers send UTF-8 filenames
+    defParamCharset: "utf8",
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
+        return cb(new AttachmentError(400, `File type ${file.mimetype} is not allowed; allowed types are: ${allowedMimeTypes.join(", ")}`));
+      }
+      cb(null, true);
+    }
+  }).single("file");
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === "LIMIT_FILE_SIZE"
+          ? `File exceeds the ${maxAttachmentBytes / (1024 * 1024)} MB attachment limit`
+          : err.message
+      });
+    }
+    if (err instanceof AttachmentError) {
+      return res.status(err.status).json({
+        success: false,
+        error: err.message
+      });
+    }
+    if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "A multipart file field named \"file\" is required"
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Look up a document the caller may access
+ * @throws {AttachmentError} 404 when the document is missing or out of scope
+ */
+const findDocument = async (Model, id, label, scope) => {
+  const doc = await Model.findOne(mergeFilters({ _id: id }, scope));
+  if (!doc) {
+    throw new AttachmentError(404, `${label} not found`);
+  }
+  return doc;
+};
+
+/**
+ * Look up an attachment of a document the caller may access
+ * @returns {Promise<Object>} { doc, attachment }
+ * @throws {AttachmentError} 404 when the document (or the attachment) is missing or out of scope
+ */
+const findAttachment = async (Model, id, attachmentId, label, scope) => {
+  const doc = await findDocument(Model, id, label, scope);
+  const attachment = doc.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new AttachmentError(404, "Attachment not found");
+  }
+  return { doc, attachment };
+};
+
+/**
+ * Refuse attachment changes on a document whose status freezes them
+ * @throws {AttachmentError} 409
+ */
+const checkUnlocked = (doc, label, lockedStatuses) => {
+  if (lockedStatuses.includes(doc.status)) {
+    throw new AttachmentError(409, `Attachments of a ${doc.status} ${label.toLowerCase()} can no longer be changed`);
+  }
+};
+
+// Filter condition keeping an update off documents whose status freezes their attachments
+const unlockedFilter = (lockedStatuses) => (
+  lockedStatuses.length > 0 ? { status: { $nin: lockedStatuses } } : {}
+);
+
+/**
+ * Store an uploaded file and add it to a document's attachments
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model with the attachments plugin
+ * @param {string} options.id - Document id
+ * @param {Object} options.file - Multer file (from attachmentUpload)
+ * @param {string} options.label - Resource name for messages (e.g. 'Todo')
+ * @param {string} options.uploadedBy - Id of the uploading user
+ * @param {Object} [options.scope] - Filter of the documents the caller may access (see utils/scope.js)
+ * @param {string[]} [options.lockedStatuses] - Document statuses in which attachments can no longer change
+ * @param {Object} options.audit - Audit context (see utils/audit.js)
+ * @returns {Promise<Object>} { doc, attachment } - updated document and the new attachment
+ * @throws {AttachmentError} 404 when the document is missing, 409 when it has the maximum number of
+ *   attachments or is in a locked status
+ */
+const addAttachment = async ({ Model, id, file, label, uploadedBy, scope = {}, lockedStatuses = [], audit }) => {
+  checkUnlocked(await findDocument(Model, id, label, scope), label, lockedStatuses);
+
+  const attachment = {
+    _id: new mongoose.Types.ObjectId(),
+    filename: cleanFilename(file.originalname),
+    contentType: file.mimetype.toLowerCase(),
+    size: file.size,
+    uploadedBy,
+    uploadedAt: new Date()
+  };
+  const key = storageKey(Model, id, attachment._id);
+
+  // Store the file first so a listed attachment always has its file
+  await storage.save(key, file.buffer, { contentType: attachment.contentType });
+
+  let doc;
+  try {
+    // Only push while the document has room left
+    doc = await Model.findOneAndUpdate(
+      mergeFilters({
+        _id: id,
+        [`attachments.${maxAttachments - 1}`]: { $exists: false },
+        ...unlockedFilter(lockedStatuses)
+      }, scope),
+      { $push: { attachments: attachment }, $set: { updatedAt: Date.now() } },
+      { new: true, runValidators: true, audit }
+    );
+  } catch (err) {
+    await removeFile(key);
+    throw err;
+  }
+
+  if (!doc) {
+    await removeFile(key);
+    // Gone, locked or full since the first look
+    checkUnlocked(await findDocument(Model, id, label, scope), label, lockedStatuses);
+    throw new AttachmentError(409, `A ${label.toLowerCase()} can have at most ${maxAttachments} attachments`);
+  }
+
+  return { doc, attachment: doc.attachments.id(attachment._id) };
+};
+
+/**
+ * Stream an attachment as a download
+ * @param {Response} res - Express response
+ * @param {Object} options - { Model, id, attachmentId, label, scope }
+ * @throws {AttachmentError} 404 when the document, attachment or stored file is missing
+ */
+const sendAttachment = async (res, { Model, id, attachmentId, label, scope = {} }) => {
+  const { attachment } = await findAttachment(Model, id, attachmentId, label, scope);
+
+  let stream;
+  try {
+    stream = await storage.read(storageKey(Model, id, attachmentId));
+  } catch (err) {
+    if (err instanceof StorageNotFoundError) {
+      logger.warn("Attachment file is missing from storage", { key: err.key });
+      throw new AttachmentError(404, "Attachment file not found");
+    }
+    throw err;
+  }
+
+  res.attachment(attachment.filename);
+  res.set({
+    "Content-Type": attachment.contentType,
+    "Content-Length": attachment.size,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, no-cache"
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    // Headers are gone by now; the client sees a cut-off download
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+      return;
+    }
+    logger.error("Attachment download failed", { id, attachmentId, err });
+    res.destroy(err);
+  }
+};
+
+/**
+ * Remove an attachment from a document and delete its file
+ * @param {Object} options - { Model, id, attachmentId, label, user, scope, lockedStatuses, audit }
+ *   where `user` is the acting user (`req.user`)
+ * @returns {Promise<Object>} { doc, attachment } - updated document and the removed attachment
+ * @throws {AttachmentError} 404 when the document or attachment is missing, 403 when the user is not
+ *   the uploader, the owner or an admin, 409 when the document is in a locked status
+ */
+const removeAttachment = async ({ Model, id, attachmentId, label, user, scope = {}, lockedStatuses = [], audit }) => {
+  const { doc: current, attachment } = await findAttachment(Model, id, attachmentId, label, scope);
+
+  const mayRemove = isAdmin(user) || [attachment.uploadedBy, current.owner].some((ref) => ref && String(ref) === user.id);
+  if (!mayRemove) {
+    throw new AttachmentError(403, "Only the uploader, the owner or an admin may remove this attachment");
+  }
+  checkUnlocked(current, label, lockedStatuses);
+
+  const doc = await Model.findOneAndUpdate(
+    mergeFilters({ _id: id, "attachments._id": attachmentId, ...unlockedFilter(lockedStatuses) }, scope),
+    { $pull: { attachments: { _id: attachmentId } }, $set: { updatedAt: Date.now() } },
+    { new: true, audit }
+  );
+  if (!doc) {
+    // Removed (or the document locked) by someone else in between
+    checkUnlocked(await findDocument(Model, id, label, scope), label, lockedStatuses);
+    throw new AttachmentError(404, "Attachment not found");
+  }
+
+  await removeFile(storageKey(Model, id, attachmentId));
+  return { doc, attachment };
+};
+
+/**
+ * Delete the stored files of documents that are being removed for good
+ * @param {Model} Model - Mongoose model with the attachments plugin
+ * @param {Object[]} docs - Documents (or lean objects) with `_id` and `attachments`
+ */
+const removeAttachmentFiles = async (Model, docs) => {
+  for (const doc of docs) {
+    for (const attachment of doc.attachments || []) {
+      await removeFile(storageKey(Model, doc._id, attachment._id));
+    }
+  }
+};
+
+module.exports = {
+  AttachmentError,
+  attachmentUpload,
+  addAttachment,
+  sendAttachment,
+  removeAttachment,
+  removeAttachmentFiles
+};
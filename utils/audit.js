@@ -0,0 +1,26 @@
+/**
+ * Audit Context Helpers
+ * Build the `audit` option passed to save/findOneAndUpdate so the audit plugin
+ * knows who made a change and through which channel
+ */
+
+/**
+ * Audit context for a REST request (requires authMiddleware)
+ */
+const requestAudit = (req) => ({
+  actor: req.user ? req.user.id : null,
+  source: 'rest'
+});
+
+/**
+ * Audit context for an authenticated socket
+ */
+const socketAudit = (socket) => ({
+  actor: socket.data.user ? socket.data.user.id : null,
+  source: 'socket'
+});
+
+module.exports = {
+  requestAudit,
+  socketAudit
+};
@@ -0,0 +1,248 @@
+/**
+ * Avatar Helpers
+ * `POST /users/:id/avatar` takes an image upload (field `file`), checks its real format and
+ * dimensions, and stores square WebP thumbnails (see config/avatars.js) in the storage backend
+ * under `avatars/<userId>/<avatarId>/<size>.webp`. The user's `picture` is set to the large
+ * thumbnail; `GET /avatars/:userId/:avatarId/:size.webp` serves them without authentication
+ * so they work in `<img>` tags. Every upload gets a new avatar id, so URLs can be cached forever.
+ */
+
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const sharp = require("sharp");
+const { storage, StorageNotFoundError } = require("./storage");
+const {
+  THUMBNAIL_SIZES,
+  allowedMimeTypes,
+  maxBytes,
+  minDimension,
+  maxDimension,
+  baseUrl
+} = require("../config/avatars");
+const { logger } = require("./logger");
+
+// sharp format names of the accepted image types
+const FORMATS = ["jpeg", "png", "webp", "gif"];
+
+// Path of a thumbnail URL: /avatars/<userId>/<avatarId>/<size>.webp
+const AVATAR_PATH = new RegExp(`^/avatars/[a-f\\d]{24}/[a-f\\d]{24}/(${Object.keys(THUMBNAIL_SIZES).join("|")})\\.webp$`);
+
+/**
+ * Error for a refused avatar upload, carrying the HTTP status to answer with
+ */
+class AvatarError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AvatarError";
+    this.status = status;
+  }
+}
+
+const storageKey = (userId, avatarId, size) => `avatars/${userId}/${avatarId}/${size}.webp`;
+
+/**
+ * URL of an avatar thumbnail, as stored in `picture`
+ */
+const avatarUrl = (userId, avatarId, size) => `${baseUrl}/avatars/${userId}/${avatarId}/${size}.webp`;
+
+/**
+ * Whether a picture URL points at an uploaded avatar
+ */
+const isAvatarUrl = (value) => (
+  typeof value === "string" &&
+  value.startsWith(`${baseUrl}/avatars/`) &&
+  AVATAR_PATH.test(value.slice(baseUrl.length))
+);
+
+/**
+ * Whether a value is a well-formed absolute https URL with a domain name and no credentials
+ */
+const isHttpsUrl = (value) => {
+  if (typeof value !== "string" || value.length > 2048 || /\s/.test(value)) {
+    return false;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  return url.protocol === "https:" && url.hostname.includes(".") && !url.username && !url.password;
+};
+
+/**
+ * Whether a value may be stored as a user's `picture`: an uploaded avatar or an external https URL
+ * Used by both the request validators and the users schema, so bulk writes are checked too
+ */
+const isPictureUrl = (value) => isAvatarUrl(value) || isHttpsUrl(value);
+
+/**
+ * Multer middleware for one image upload in the `file` field (kept in memory)
+ * Answers 400 for a missing, oversized or non-image file
+ */
+const avatarUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
+        return cb(new AvatarError(400, `Avatar must be one of: ${allowedMimeTypes.join(", ")}`));
+      }
+      cb(null, true);
+    }
+  }).single("file");
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === "LIMIT_FILE_SIZE"
+          ? `Avatar exceeds the ${maxBytes / (1024 * 1024)} MB limit`
+          : err.message
+      });
+    }
+    if (err instanceof AvatarError) {
+      return res.status(err.status).json({
+        success: false,
+        error: err.message
+      });
+    }
+    if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "A multipart file field named \"file\" is required"
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Check an uploaded image by decoding its header rather than trusting the MIME type
+ * @throws {AvatarError} 400 for unreadable images, other formats and out-of-range dimensions
+ */
+const inspectImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new AvatarError(400, "Avatar is not a readable image");
+  }
+
+  if (!FORMATS.includes(metadata.format)) {
+    throw new AvatarError(400, `Avatar must be a JPEG, PNG, WebP or GIF image, not ${metadata.format}`);
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width < minDimension || height < minDimension) {
+    throw new AvatarError(400, `Avatar must be at least ${minDimension}x${minDimension} pixels; this one is ${width}x${height}`);
+  }
+  if (width > maxDimension || height > maxDimension) {
+    throw new AvatarError(400, `Avatar must be at most ${maxDimension}x${maxDimension} pixels; this one is ${width}x${height}`);
+  }
+};
+
+/**
+ * Delete the thumbnail files of an avatar, logging instead of failing
+ * @param {string} userId - Owning user's id
+ * @param {Object} avatar - The user's `avatar` (needs `id`)
+ */
+const removeAvatar = async (userId, avatar) => {
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    const key = storageKey(userId, avatar.id, size);
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      logger.error("Failed to remove avatar file", { key, err });
+    }
+  }
+};
+
+/**
+ * Validate an uploaded image and store its thumbnails
+ * Thumbnails are cropped to a square around the centre; EXIF orientation is applied and
+ * metadata (e.g. GPS position) is dropped.
+ * @param {string} userId - Owning user's id
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<Object>} Value for the user's `avatar`: `{ id, thumbnails: { small, medium, large }, uploadedAt }`
+ * @throws {AvatarError} 400 when the image is refused
+ */
+const createAvatar = async (userId, buffer) => {
+  await inspectImage(buffer);
+
+  const avatar = {
+    id: new mongoose.Types.ObjectId().toString(),
+    thumbnails: {},
+    uploadedAt: new Date()
+  };
+
+  try {
+    for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(edge, edge, { fit: "cover", position: "centre" })
+        .webp({ quality: 85 })
+        .toBuffer();
+
+      await storage.save(storageKey(userId, avatar.id, size), thumbnail, { contentType: "image/webp" });
+      avatar.thumbnails[size] = avatarUrl(userId, avatar.id, size);
+    }
+  } catch (err) {
+    await removeAvatar(userId, avatar);
+    throw err;
+  }
+
+  return avatar;
+};
+
+/**
+ * Stream an avatar thumbnail
+ * @param {Response} res - Express response
+ * @param {Object} options - { userId, avatarId, size }
+ * @throws {AvatarError} 404 when there is no such thumbnail
+ */
+const sendAvatar = async (res, { userId, avatarId, size }) => {
+  let stream;
+  try {
+    stream = await storage.read(storageKey(userId, avatarId, size));
+  } catch (err) {
+    if (err instanceof StorageNotFoundError) {
+      throw new AvatarError(404, "Avatar not found");
+    }
+    throw err;
+  }
+
+  res.set({
+    "Content-Type": "image/webp",
+    "X-Content-Type-Options": "nosniff",
+    // A new upload gets a new URL
+    "Cache-Control": "public, max-age=31536000, immutable"
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+      return;
+    }
+    logger.error("Avatar download failed", { userId, avatarId, size, err });
+    res.destroy(err);
+  }
+};
+
+module.exports = {
+  AvatarError,
+  avatarUpload,
+  isPictureUrl,
+  createAvatar,
+  removeAvatar,
+  sendAvatar
+};
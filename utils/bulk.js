@@ -0,0 +1,341 @@
+/**
+ * Bulk Operation Helpers
+ * Runs a list of mixed insert/update/delete operations against one model for
+ * `POST /:resource/bulk` and reports a result per operation.
+ *
+ * Without `atomic` every operation is attempted and failures are reported next to
+ * the successes. With `atomic: true` the whole batch runs in a MongoDB transaction
+ * (replica set required) and is rolled back as soon as one operation fails.
+ */
+
+const mongoose = require("mongoose");
+const { body } = require("express-validator");
+const { mergeFilters } = require("./filterQuery");
+const { runValidators } = require("./validators");
+
+const MAX_BULK_OPERATIONS = 1000;
+const BULK_OPS = ["insert", "update", "delete"];
+
+/**
+ * Error for a single operation, carrying the HTTP status reported for it
+ * and, for validation failures, the `{ field, message, value }` errors
+ */
+class BulkOperationError extends Error {
+  constructor(status, message, errors = undefined) {
+    super(message);
+    this.name = "BulkOperationError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// Thrown inside the transaction callback to abort it
+class BulkAbort extends Error {
+  constructor(index) {
+    super(`Operation ${index} failed`);
+    this.name = "BulkAbort";
+    this.index = index;
+  }
+}
+
+// `op` of the operation a wildcard path such as `operations[3].id` belongs to
+const opAt = (req, path) => {
+  const index = Number(path.match(/\[(\d+)\]/)[1]);
+  return (req.body.operations[index] || {}).op;
+};
+
+/**
+ * Validation chains for the bulk request body
+ */
+const bulkValidators = () => [
+  body("operations")
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`Operations must be an array of 1 to ${MAX_BULK_OPERATIONS} items`),
+  body("operations.*.op")
+    .isIn(BULK_OPS)
+    .withMessage(`Op must be one of: ${BULK_OPS.join(", ")}`),
+  body("operations.*.id")
+    .if((value, { req, path }) => opAt(req, path) !== "insert")
+    .isMongoId()
+    .withMessage("Id must be a valid ID for update and delete operations"),
+  body("operations.*.data")
+    .if((value, { req, path }) => opAt(req, path) !== "delete")
+    .isObject()
+    .withMessage("Data must be an object for insert and update operations"),
+  body("operations.*.version")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("Version must be a non-negative integer"),
+  body("atomic")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Atomic must be a boolean value")
+];
+
+/**
+ * Copy the whitelisted fields of an operation's data
+ */
+const pickFields = (data, fields) => {
+  return Object.fromEntries(
+    fields
+      .filter((field) => Object.prototype.hasOwnProperty.call(data || {}, field))
+      .map((field) => [field, data[field]])
+  );
+};
+
+/**
+ * Run an operation's data through the same validation chains as the single-document routes
+ * @returns {Promise<Object>} The sanitized data
+ * @throws {BulkOperationError} 400 with the validation errors
+ */
+const validateData = async (data, chains) => {
+  const { values, errors } = await runValidators(data || {}, chains);
+  if (errors.length > 0) {
+    throw new BulkOperationError(400, "Validation failed", errors);
+  }
+  return values;
+};
+
+/**
+ * Make sure user references point at existing users
+ */
+const checkReferences = async (values, references, session) => {
+  for (const field of references) {
+    const id = values[field];
+    if (id === undefined || id === null) {
+      continue;
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new BulkOperationError(400, `${field} must be a valid user ID`);
+    }
+    const exists = await mongoose.model("users").exists({ _id: id }).session(session);
+    if (!exists) {
+      throw new BulkOperationError(400, `${field} does not reference an existing user`);
+    }
+  }
+};
+
+/**
+ * Map a failure to the status reported for the operation
+ * Errors carrying their own HTTP `status` (e.g. from `checkUpdate`) keep it
+ */
+const statusFor = (err) => {
+  if (err instanceof BulkOperationError || Number.isInteger(err.status)) {
+    return err.status;
+  }
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return 400;
+  }
+  if (err.code === 11000) {
+    return 409;
+  }
+  return 500;
+};
+
+/**
+ * Apply one operation
+ * @returns {Promise<Object>} { status, action, doc } where action is the broadcast action
+ */
+const applyOperation = async (operation, context) => {
+  const {
+    Model,
+    label,
+    fields,
+    references,
+    owner,
+    scope,
+    createValidators,
+    updateValidators,
+    checkUpdate,
+    audit,
+    session
+  } = context;
+
+  if (operation.op === "insert") {
+    const values = pickFields(await validateData(operation.data, createValidators), fields);
+    await checkReferences(values, references, session);
+    const doc = new Model(values);
+    if (owner) {
+      doc[owner.field] = owner.id;
+    }
+    await doc.save({ audit, session });
+    return { status: 201, action: "added", doc };
+  }
+
+  if (operation.op === "update") {
+    const values = pickFields(await validateData(operation.data, updateValidators), fields);
+    if (Object.keys(values).length === 0) {
+      throw new BulkOperationError(400, `Update needs at least one of: ${fields.join(", ")}`);
+    }
+    await checkReferences(values, references, session);
+
+    if (checkUpdate) {
+      const existing = await Model.findOne(mergeFilters({ _id: operation.id }, scope)).session(session);
+      if (!existing) {
+        throw new BulkOperationError(404, `${label} not found`);
+      }
+      checkUpdate(existing, values);
+    }
+
+    const checkVersion = operation.version !== undefined && operation.version !== null;
+    const doc = await Model.findOneAndUpdate(
+      mergeFilters(checkVersion ? { _id: operation.id, __v: operation.version } : { _id: operation.id }, scope),
+      { $set: values },
+      { new: true, runValidators: true, audit, session }
+    );
+
+    if (!doc) {
+      const exists = await Model.exists(mergeFilters({ _id: operation.id }, scope)).session(session);
+      throw exists
+        ? new BulkOperationError(412, `${label} has been modified since version ${operation.version}`)
+        : new BulkOperationError(404, `${label} not found`);
+    }
+    return { status: 200, action: "updated", doc };
+  }
+
+  const doc = await Model.softDelete(mergeFilters({ _id: operation.id }, scope), { audit, session });
+  if (!doc) {
+    throw new BulkOperationError(404, `${label} not found`);
+  }
+  return { status: 200, action: "deleted", doc };
+};
+
+/**
+ * Apply every operation in order and collect per-item results
+ */
+const applyAll = async (operations, context, { stopOnError }) => {
+  const results = [];
+  const changes = { added: [], updated: [], deleted: [] };
+
+  for (const [index, operation] of operations.entries()) {
+    try {
+      const { status, action, doc } = await applyOperation(operation, context);
+      changes[action].push(doc);
+      results.push({
+        index,
+        op: operation.op,
+        id: doc._id,
+        success: true,
+        status,
+        data: action === "deleted" ? { id: doc._id } : doc
+      });
+    } catch (err) {
+      results.push({
+        index,
+        op: operation.op,
+        id: operation.id || null,
+        success: false,
+        status: statusFor(err),
+        error: err.message,
+        errors: err instanceof BulkOperationError ? err.errors : undefined
+      });
+      if (stopOnError) {
+        throw Object.assign(new BulkAbort(index), { results });
+      }
+    }
+  }
+
+  return { results, changes };
+};
+
+/**
+ * Run a bulk request
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {string} options.label - Human readable name used in messages (e.g. 'Todo')
+ * @param {Object[]} options.operations - `{ op, id, data, version }` items from the request body
+ * @param {boolean} [options.atomic=false] - All-or-nothing inside a transaction
+ * @param {string[]} options.fields - Writable fields from config/resources.js
+ * @param {ValidationChain[]} [options.createValidators=[]] - Chains checking inserted data, as on the POST route
+ * @param {ValidationChain[]} [options.updateValidators=[]] - Chains checking update data, as on the PATCH route
+ * @param {string[]} [options.references=[]] - Fields that must reference existing users
+ * @param {Object} [options.owner] - `{ field, id }` set on inserted documents
+ * @param {Object} [options.scope] - Filter limiting updates and deletes to the caller's documents (see utils/scope.js)
+ * @param {Function} [options.checkUpdate] - Called with the current document and the update values
+ *   before each update; throws an error with an HTTP `status` to refuse it
+ * @param {Object} options.audit - Audit context (see utils/audit.js)
+ * @returns {Promise<Object>} { results, summary, changes, rolledBack }
+ */
+const runBulk = async ({
+  Model,
+  label,
+  operations,
+  atomic = false,
+  fields,
+  createValidators = [],
+  updateValidators = [],
+  references = [],
+  owner,
+  scope = {},
+  checkUpdate,
+  audit
+}) => {
+  const context = {
+    Model,
+    label,
+    fields,
+    createValidators,
+    updateValidators,
+    references,
+    owner,
+    scope,
+    checkUpdate,
+    audit,
+    session: null
+  };
+  let outcome;
+  let rolledBack = false;
+
+  if (!atomic) {
+    outcome = await applyAll(operations, context, { stopOnError: false });
+  } else {
+    const session = await Model.startSession();
+    try {
+      await session.withTransaction(async () => {
+        outcome = await applyAll(operations, { ...context, session }, { stopOnError: true });
+      });
+    } catch (err) {
+      if (!(err instanceof BulkAbort)) {
+        if (err.code === 20 || err.codeName === "IllegalOperation") {
+          throw new Error("Atomic bulk operations require MongoDB to run as a replica set");
+        }
+        throw err;
+      }
+
+      // Report the failing operation and mark every other one as not applied
+      rolledBack = true;
+      const failed = err.results[err.index];
+      outcome = {
+        changes: { added: [], updated: [], deleted: [] },
+        results: operations.map((operation, index) => (index === err.index ? failed : {
+          index,
+          op: operation.op,
+          id: operation.id || null,
+          success: false,
+          status: 424,
+          error: `Not applied: operation ${err.index} failed and the batch was rolled back`
+        }))
+      };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const { results, changes } = outcome;
+  const summary = {
+    total: operations.length,
+    inserted: changes.added.length,
+    updated: changes.updated.length,
+    deleted: changes.deleted.length,
+    failed: results.filter((result) => !result.success).length
+  };
+
+  return { results, summary, changes, rolledBack };
+};
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  BulkOperationError,
+  bulkValidators,
+  runBulk
+};
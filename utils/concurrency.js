@@ -0,0 +1,73 @@
+/**
+ * Optimistic Concurrency Helpers
+ * Documents carry a version (`__v`, bumped on every write by the version plugin).
+ * GET responses expose it as a strong `ETag`; PUT/PATCH requests may send it back
+ * in `If-Match` so the update only applies if nobody changed the document meanwhile.
+ */
+
+/**
+ * Strong ETag for a document version, e.g. `"3"`
+ */
+const etagFor = (doc) => `"${doc.__v || 0}"`;
+
+/**
+ * Set the ETag response header for a document
+ */
+const setETag = (res, doc) => {
+  res.set("ETag", etagFor(doc));
+};
+
+/**
+ * Parse an If-Match header
+ * @param {string} [header] - Raw header value
+ * @returns {null|'*'|number[]} null when absent, '*' for any version, otherwise the accepted versions.
+ *   Weak or malformed tags never match (RFC 9110 uses strong comparison for If-Match).
+ */
+const parseIfMatch = (header) => {
+  if (!header) {
+    return null;
+  }
+  if (header.trim() === "*") {
+    return "*";
+  }
+  return header
+    .split(",")
+    .map((tag) => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+/**
+ * Filter condition enforcing the If-Match header of a request
+ * Empty when the header is absent or `*`
+ */
+const versionFilter = (req) => {
+  const versions = parseIfMatch(req.get("If-Match"));
+  if (!versions || versions === "*") {
+    return {};
+  }
+  return { __v: { $in: versions } };
+};
+
+/**
+ * Respond 412 Precondition Failed with the current document and its ETag
+ * @param {Response} res - Express response
+ * @param {Document} current - Latest stored version of the document
+ * @param {string} label - Human readable resource name (e.g. 'Todo')
+ */
+const preconditionFailed = (res, current, label) => {
+  setETag(res, current);
+  return res.status(412).json({
+    success: false,
+    error: `${label} has been modified since it was retrieved`,
+    data: current
+  });
+};
+
+module.exports = {
+  etagFor,
+  setETag,
+  parseIfMatch,
+  versionFilter,
+  preconditionFailed
+};
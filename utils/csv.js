@@ -0,0 +1,111 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 reader/writer used by import and export.
+ * Text cells starting with `=`, `+`, `-` or `@` are prefixed with `'` on export so
+ * spreadsheets don't evaluate them as formulas; the prefix is removed again on import.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Format one value as a CSV cell
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object" && typeof value.toHexString === "function") {
+    text = value.toHexString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line (including the line break)
+ */
+const formatRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * Empty cells are left out so optional fields stay undefined
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per data row
+ * @throws {Error} On an unterminated quoted cell
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted cell");
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((value) => value !== ""));
+  const columns = header.map((column) => column.trim());
+
+  return records.map((cells) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = cells[index];
+      if (column && value !== undefined && value !== "") {
+        record[column] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+      }
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  formatRow,
+  parseCsv
+};
@@ -0,0 +1,204 @@
+/**
+ * Filter Query Helpers
+ * Translates operator filters such as `dueDate[lt]=2026-01-01`, `grade[gte]=80`,
+ * `priority[in]=high,medium` or `createdAt[between]=2026-01-01,2026-02-01`
+ * into MongoDB queries. Only whitelisted fields and operators are accepted and
+ * every value is coerced to the field's type, so clients can never pass raw
+ * query operators like `$where` through to MongoDB.
+ */
+
+const mongoose = require("mongoose");
+
+// Query operator -> MongoDB operator
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  in: "$in",
+  nin: "$nin",
+  exists: "$exists",
+  between: null
+};
+
+// Operators allowed for each field type
+const TYPE_OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "exists"],
+  enum: ["eq", "ne", "in", "nin", "exists"],
+  boolean: ["eq", "ne", "exists"],
+  objectId: ["eq", "ne", "in", "nin", "exists"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between", "exists"],
+  date: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between", "exists"]
+};
+
+const LIST_OPERATORS = ["in", "nin"];
+
+/**
+ * Error raised for an invalid filter, reported in the express-validator format
+ */
+class FilterError extends Error {
+  constructor(path, value, message) {
+    super(message);
+    this.name = "FilterError";
+    this.path = path;
+    this.value = value;
+  }
+}
+
+/**
+ * Coerce a raw query string value to the type of a field
+ */
+const coerce = (value, spec, path) => {
+  switch (spec.type) {
+    case "boolean":
+      if (value === "true" || value === "false") {
+        return value === "true";
+      }
+      throw new FilterError(path, value, "Value must be true or false");
+    case "number": {
+      const number = Number(value);
+      if (value === "" || Number.isNaN(number)) {
+        throw new FilterError(path, value, "Value must be a number");
+      }
+      return number;
+    }
+    case "date": {
+      const date = new Date(value);
+      if (value === "" || Number.isNaN(date.getTime())) {
+        throw new FilterError(path, value, "Value must be a valid date");
+      }
+      return date;
+    }
+    case "objectId":
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new FilterError(path, value, "Value must be a valid ID");
+      }
+      return new mongoose.Types.ObjectId(value);
+    case "enum":
+      if (!spec.values.includes(value)) {
+        throw new FilterError(path, value, `Value must be one of: ${spec.values.join(", ")}`);
+      }
+      return value;
+    default:
+      return value;
+  }
+};
+
+// Accept `a,b` as well as repeated `field[in]=a&field[in]=b`
+const toList = (raw) => {
+  const items = Array.isArray(raw) ? raw : [raw];
+  return items.flatMap((item) => String(item).split(",")).map((item) => item.trim()).filter(Boolean);
+};
+
+/**
+ * Build the MongoDB condition for one field
+ */
+const buildCondition = (field, raw, spec) => {
+  // Plain `field=value` keeps working as an equality filter
+  const operators = raw !== null && typeof raw === "object" && !Array.isArray(raw)
+    ? raw
+    : { eq: raw };
+
+  const condition = {};
+
+  Object.entries(operators).forEach(([operator, value]) => {
+    const path = `${field}[${operator}]`;
+
+    if (!(operator in OPERATORS) || !TYPE_OPERATORS[spec.type].includes(operator)) {
+      throw new FilterError(path, value, `Operator "${operator}" is not supported for ${field}`);
+    }
+
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      throw new FilterError(path, value, "Filter values cannot be nested");
+    }
+
+    if (Array.isArray(value) && !LIST_OPERATORS.includes(operator)) {
+      throw new FilterError(path, value, "Filter must have a single value");
+    }
+
+    if (LIST_OPERATORS.includes(operator)) {
+      condition[OPERATORS[operator]] = toList(value).map((item) => coerce(item, spec, path));
+    } else if (operator === "between") {
+      const bounds = toList(value);
+      if (bounds.length !== 2) {
+        throw new FilterError(path, value, "Between needs two comma separated values");
+      }
+      condition.$gte = coerce(bounds[0], spec, path);
+      condition.$lte = coerce(bounds[1], spec, path);
+    } else if (operator === "exists") {
+      condition.$exists = coerce(value, { type: "boolean" }, path);
+    } else {
+      condition[OPERATORS[operator]] = coerce(value, spec, path);
+    }
+  });
+
+  return condition;
+};
+
+/**
+ * Build a MongoDB filter from a request query
+ * Keys that are not in the whitelist (pagination, sort, ...) are ignored
+ * @param {Object} query - Parsed request query (`req.query`)
+ * @param {Object} filterable - Field name -> { type, values } whitelist
+ * @returns {Object} MongoDB filter
+ * @throws {FilterError} When a whitelisted field has an invalid operator or value
+ */
+const buildFilter = (query, filterable) => {
+  const filter = {};
+
+  Object.entries(query).forEach(([field, raw]) => {
+    if (Object.prototype.hasOwnProperty.call(filterable, field)) {
+      filter[field] = buildCondition(field, raw, filterable[field]);
+    }
+  });
+
+  return filter;
+};
+
+/**
+ * Combine filters with $and, skipping empty ones
+ */
+const mergeFilters = (...filters) => {
+  const nonEmpty = filters.filter((filter) => filter && Object.keys(filter).length > 0);
+  if (nonEmpty.length <= 1) {
+    return nonEmpty[0] || {};
+  }
+  return { $and: nonEmpty };
+};
+
+/**
+ * Middleware parsing operator filters into `req.filter`
+ * Responds with 400 and express-validator style errors when a filter is invalid
+ * @param {Object} filterable - Field whitelist from config/resources.js
+ */
+const parseFilters = (filterable) => {
+  return (req, res, next) => {
+    try {
+      req.filter = buildFilter(req.query, filterable);
+      next();
+    } catch (err) {
+      if (!(err instanceof FilterError)) {
+        return next(err);
+      }
+      return res.status(400).json({
+        success: false,
+        errors: [{
+          type: "field",
+          value: err.value,
+          msg: err.message,
+          path: err.path,
+          location: "query"
+        }]
+      });
+    }
+  };
+};
+
+module.exports = {
+  FilterError,
+  buildFilter,
+  mergeFilters,
+  parseFilters
+};
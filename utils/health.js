@@ -0,0 +1,146 @@
+/**
+ * Health Checks
+ * Each check resolves to `{ status: "ok" | "fail", ... }` with the numbers it looked at.
+ * Liveness only covers the process itself (event loop and memory) so a database outage
+ * never gets the instance restarted; readiness adds MongoDB and Socket.io.
+ */
+
+const v8 = require("v8");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const mongoose = require("mongoose");
+const config = require("../config/health");
+
+const MB = 1024 * 1024;
+const READY_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// Event-loop delay histogram, rolled over every lagWindowMs so old stalls age out
+const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+loopDelay.enable();
+let lastWindowP99 = 0;
+
+setInterval(() => {
+  lastWindowP99 = loopDelay.count > 0 ? loopDelay.percentile(99) : 0;
+  loopDelay.reset();
+}, config.lagWindowMs).unref();
+
+// Set once shutdown starts so the orchestrator drains traffic before the server closes
+let shuttingDown = false;
+
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * MongoDB: connection state plus a ping round trip
+ */
+const checkMongo = async () => {
+  const { readyState } = mongoose.connection;
+  const state = READY_STATES[readyState] || "unknown";
+
+  if (readyState !== 1) {
+    return { status: "fail", state, error: "Not connected" };
+  }
+
+  const started = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Ping timed out after ${config.dbPingTimeoutMs}ms`)),
+          config.dbPingTimeoutMs
+        );
+      })
+    ]);
+    return { status: "ok", state, latencyMs: round(Number(process.hrtime.bigint() - started) / 1e6) };
+  } catch (err) {
+    return { status: "fail", state, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Socket.io: the server is attached to a listening HTTP server
+ * @param {Server} io - Socket.io server
+ */
+const checkSocketIo = (io) => {
+  const listening = Boolean(io && io.httpServer && io.httpServer.listening);
+  return {
+    status: listening ? "ok" : "fail",
+    listening,
+    adapter: io ? io.of("/").adapter.constructor.name : null,
+    clients: io ? io.engine.clientsCount : 0
+  };
+};
+
+/**
+ * Event loop: p99 delay over the current and previous window
+ */
+const checkEventLoop = () => {
+  const current = loopDelay.count > 0 ? loopDelay.percentile(99) : 0;
+  const lagMs = round(Math.max(current, lastWindowP99) / 1e6);
+  return {
+    status: lagMs > config.maxEventLoopLagMs ? "fail" : "ok",
+    lagMs,
+    thresholdMs: config.maxEventLoopLagMs
+  };
+};
+
+/**
+ * Memory: V8 heap usage against its limit and (optionally) the resident set size
+ */
+const checkMemory = () => {
+  const { rss, heapUsed } = process.memoryUsage();
+  const heapLimit = v8.getHeapStatistics().heap_size_limit;
+  const heapRatio = heapUsed / heapLimit;
+  const rssMb = round(rss / MB);
+  const overRss = config.maxRssMb > 0 && rssMb > config.maxRssMb;
+
+  return {
+    status: heapRatio > config.maxHeapRatio || overRss ? "fail" : "ok",
+    rssMb,
+    heapUsedMb: round(heapUsed / MB),
+    heapLimitMb: round(heapLimit / MB),
+    heapRatio: Math.round(heapRatio * 1000) / 1000
+  };
+};
+
+/**
+ * Run the liveness checks
+ * @returns {Object} { healthy, checks }
+ */
+const liveness = () => {
+  const checks = {
+    eventLoop: checkEventLoop(),
+    memory: checkMemory()
+  };
+  return { healthy: Object.values(checks).every((check) => check.status === "ok"), checks };
+};
+
+/**
+ * Run the readiness checks
+ * @param {Server} io - Socket.io server
+ * @returns {Promise<Object>} { ready, checks }
+ */
+const readiness = async (io) => {
+  const checks = {
+    mongodb: await checkMongo(),
+    socketio: checkSocketIo(io),
+    eventLoop: checkEventLoop(),
+    memory: checkMemory()
+  };
+  if (shuttingDown) {
+    checks.shutdown = { status: "fail", error: "Server is shutting down" };
+  }
+  return { ready: Object.values(checks).every((check) => check.status === "ok"), checks };
+};
+
+module.exports = {
+  markShuttingDown,
+  liveness,
+  readiness
+};
@@ -0,0 +1,299 @@
+/**
+ * Import/Export Helpers
+ * `GET /:resource/export` streams a (filtered) collection as CSV, JSON or NDJSON.
+ * `POST /:resource/import` takes a multipart CSV/JSON/NDJSON upload, validates every row
+ * with the same express-validator chains as `POST /:resource`, and reports per row.
+ * With `dryRun=true` nothing is written.
+ */
+
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const multer = require("multer");
+const { query } = require("express-validator");
+const { splitList, buildSort, sortValidator, fieldsValidator } = require("./listQuery");
+const { mergeFilters } = require("./filterQuery");
+const { searchValidator } = require("./search");
+const { formatRow, parseCsv } = require("./csv");
+const { runValidators } = require("./validators");
+
+const FORMATS = ["csv", "json", "ndjson"];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+
+// File extension / MIME type -> format, used when `format` is not given
+const EXTENSION_FORMATS = { ".csv": "csv", ".json": "json", ".ndjson": "ndjson", ".jsonl": "ndjson" };
+const MIME_FORMATS = { "text/csv": "csv", "application/json": "json", "application/x-ndjson": "ndjson" };
+
+/**
+ * Error for an unreadable upload, reported as 400
+ */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * Validation chains for the export query parameters
+ * @param {Object} config - Resource entry from config/resources.js
+ */
+const exportValidators = (config) => [
+  query("format")
+    .optional()
+    .isIn(FORMATS)
+    .withMessage(`Format must be one of: ${FORMATS.join(", ")}`),
+  sortValidator(config),
+  fieldsValidator(config),
+  searchValidator()
+];
+
+/**
+ * Stream every matching document to the response
+ * @param {Request} req - Express request (validated with exportValidators)
+ * @param {Response} res - Express response
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {Object} options.filter - Query filter: the caller's scope merged with parseFilters' `req.filter`
+ * @param {Object} options.config - Resource entry from config/resources.js
+ * @param {string} options.name - Base name of the downloaded file (e.g. 'todos')
+ */
+const streamExport = async (req, res, { Model, filter, config, name }) => {
+  const format = req.query.format || "json";
+  const columns = ["_id", ...(req.query.fields ? splitList(req.query.fields) : config.selectable)];
+  const search = req.query.q;
+
+  const cursor = Model.find(search ? mergeFilters(filter, { $text: { $search: search } }) : filter)
+    .sort(Object.fromEntries(buildSort(req.query.sort || config.defaultSort)))
+    .select(columns.join(" "))
+    .cursor();
+
+  let first = true;
+  const serializer = new Transform({
+    writableObjectMode: true,
+    construct(callback) {
+      if (format === "csv") {
+        this.push(formatRow(columns));
+      }
+      callback();
+    },
+    transform(doc, encoding, callback) {
+      const json = doc.toJSON();
+      let chunk;
+      if (format === "csv") {
+        chunk = formatRow(columns.map((column) => json[column]));
+      } else if (format === "ndjson") {
+        chunk = `${JSON.stringify(json)}\n`;
+      } else {
+        chunk = `${first ? "[\n" : ",\n"}${JSON.stringify(json)}`;
+      }
+      first = false;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      callback(null, format === "json" ? (first ? "[]\n" : "\n]\n") : "");
+    }
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set("Content-Type", CONTENT_TYPES[format]);
+  res.set("Content-Disposition", `attachment; filename="${name}-${date}.${format}"`);
+
+  try {
+    await pipeline(cursor, serializer, res);
+  } catch (err) {
+    // The client went away; nothing left to report
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+      return;
+    }
+    if (!res.headersSent) {
+      throw err;
+    }
+    res.destroy(err);
+  }
+};
+
+/**
+ * Multipart middleware accepting a single `file` field
+ * Responds with 400 when the upload is missing or too large
+ */
+const importUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+  }).single("file");
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === "LIMIT_FILE_SIZE"
+          ? `File exceeds the ${MAX_IMPORT_BYTES / (1024 * 1024)} MB import limit`
+          : err.message
+      });
+    }
+    if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "A multipart file field named \"file\" is required"
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Validation chains for the import query parameters
+ */
+const importValidators = () => [
+  query("format")
+    .optional()
+    .isIn(FORMATS)
+    .withMessage(`Format must be one of: ${FORMATS.join(", ")}`),
+  query("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be true or false")
+    .toBoolean()
+];
+
+/**
+ * Read the uploaded file into records
+ * @param {Object} file - Multer file
+ * @param {string} [format] - Explicit format, otherwise taken from the extension or MIME type
+ * @returns {Object[]} Records
+ * @throws {ImportError} When the format is unknown or the content cannot be parsed
+ */
+const readUpload = (file, format) => {
+  const detected = format ||
+    EXTENSION_FORMATS[path.extname(file.originalname || "").toLowerCase()] ||
+    MIME_FORMATS[file.mimetype];
+
+  if (!detected) {
+    throw new ImportError(`Cannot tell the file format; pass format=${FORMATS.join("|")}`);
+  }
+
+  const text = file.buffer.toString("utf8");
+  let records;
+
+  try {
+    if (detected === "csv") {
+      records = parseCsv(text);
+    } else if (detected === "ndjson") {
+      records = text.split(/\r?\n/).filter((line) => line.trim()).map((line) => JSON.parse(line));
+    } else {
+      records = JSON.parse(text);
+    }
+  } catch (err) {
+    throw new ImportError(`Could not parse ${detected.toUpperCase()} file: ${err.message}`);
+  }
+
+  if (!Array.isArray(records)) {
+    throw new ImportError("JSON imports must contain an array of objects");
+  }
+  if (records.length === 0) {
+    throw new ImportError("The file contains no rows");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return records;
+};
+
+/**
+ * Run express-validator chains against one record
+ * @returns {Promise<Object>} { values, errors } with sanitized values
+ */
+const validateRecord = async (record, chains) => {
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    return { values: null, errors: [{ field: null, message: "Row must be an object" }] };
+  }
+
+  return runValidators(record, chains);
+};
+
+/**
+ * Validate and (unless dry-run) insert every record
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {Object[]} options.records - Records from readUpload
+ * @param {ValidationChain[]} options.validators - Same chains as the POST route
+ * @param {string[]} options.fields - Writable fields from config/resources.js
+ * @param {Object} [options.owner] - `{ field, id }` set on inserted documents
+ * @param {Object} options.audit - Audit context (see utils/audit.js)
+ * @param {boolean} [options.dryRun=false] - Only validate
+ * @returns {Promise<Object>} { results, summary, added }
+ */
+const runImport = async ({ Model, records, validators, fields, owner, audit, dryRun = false }) => {
+  const results = [];
+  const added = [];
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1;
+    const { values, errors } = await validateRecord(record, validators);
+
+    if (errors.length > 0) {
+      results.push({ row, success: false, errors });
+      continue;
+    }
+
+    const doc = new Model(Object.fromEntries(
+      fields.filter((field) => values[field] !== undefined).map((field) => [field, values[field]])
+    ));
+    if (owner) {
+      doc[owner.field] = owner.id;
+    }
+
+    try {
+      if (dryRun) {
+        await doc.validate();
+      } else {
+        await doc.save({ audit });
+        added.push(doc);
+      }
+      results.push({ row, success: true, id: dryRun ? null : doc._id });
+    } catch (err) {
+      const details = err.errors
+        ? Object.values(err.errors).map((error) => ({ field: error.path, message: error.message }))
+        : [{ field: null, message: err.code === 11000 ? "Duplicate value for a unique field" : err.message }];
+      results.push({ row, success: false, errors: details });
+    }
+  }
+
+  const invalid = results.filter((result) => !result.success).length;
+
+  return {
+    results,
+    summary: {
+      total: records.length,
+      valid: records.length - invalid,
+      invalid,
+      imported: added.length
+    },
+    added
+  };
+};
+
+module.exports = {
+  FORMATS,
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_BYTES,
+  ImportError,
+  exportValidators,
+  streamExport,
+  importUpload,
+  importValidators,
+  readUpload,
+  runImport
+};
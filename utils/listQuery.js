@@ -0,0 +1,340 @@
+/**
+ * List Query Helpers
+ * Pagination (`page`/`limit` or cursor `after`), multi-field sorting (`sort=complete,-dueDate`)
+ * field projection (`fields=title,complete`) and full-text search (`q=`) shared by every list endpoint
+ */
+
+const mongoose = require("mongoose");
+const { query } = require("express-validator");
+const { parsePopulate, applyPopulate } = require("./populate");
+const { mergeFilters } = require("./filterQuery");
+const { searchValidator, searchTerms, buildHighlights } = require("./search");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Split a comma separated query value into trimmed items
+ */
+const splitList = (value) => {
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parse `complete,-dueDate` into [["complete", 1], ["dueDate", -1]]
+ */
+const parseSortFields = (value) => {
+  return splitList(value).map((field) => {
+    if (field.startsWith("-")) {
+      return [field.slice(1), -1];
+    }
+    return [field.replace(/^\+/, ""), 1];
+  });
+};
+
+// Append `_id` as a tie-breaker so cursors are stable
+const withTieBreaker = (fields) => {
+  if (!fields.some(([field]) => field === "_id")) {
+    fields.push(["_id", 1]);
+  }
+  return fields;
+};
+
+/**
+ * Sort fields with `_id` appended as a tie-breaker so cursors are stable
+ */
+const buildSort = (value) => withTieBreaker(parseSortFields(value));
+
+// Cursor values may only be scalars, dates or ObjectIds - never query objects
+const isCursorValue = (value) => {
+  return value === null ||
+    ["string", "number", "boolean"].includes(typeof value) ||
+    value instanceof Date ||
+    value instanceof mongoose.Types.ObjectId;
+};
+
+/**
+ * Encode the sort key of the last document on a page as an opaque cursor
+ */
+const encodeCursor = (doc, sortFields) => {
+  const values = sortFields.map(([field]) => {
+    const value = typeof doc.get === "function" ? doc.get(field) : doc[field];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(EJSON.stringify(values)).toString("base64url");
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Throws if the cursor is malformed or contains anything but plain values
+ */
+const decodeCursor = (cursor) => {
+  const values = EJSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+
+  if (!Array.isArray(values) || !values.every(isCursorValue)) {
+    throw new Error("Invalid cursor");
+  }
+
+  return values;
+};
+
+/**
+ * Build a filter matching documents that sort after the cursor position
+ * Missing/null values sort first in MongoDB, so they are handled explicitly
+ */
+const cursorFilter = (sortFields, values) => {
+  const clauses = [];
+
+  sortFields.forEach(([field, direction], i) => {
+    const value = values[i];
+    let condition;
+
+    if (direction === 1) {
+      condition = value === null ? { $ne: null } : { $gt: value };
+    } else if (value !== null) {
+      condition = { $not: { $gte: value } };
+    } else {
+      // Nothing sorts after null in descending order
+      return;
+    }
+
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[sortFields[j][0]] = values[j];
+    }
+    clause[field] = condition;
+    clauses.push(clause);
+  });
+
+  return clauses.length ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+/**
+ * Build an absolute URL for the current request with some query params replaced
+ */
+const buildUrl = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+/**
+ * Validation chain for `sort`, limited to the sortable fields of a resource
+ */
+const sortValidator = (config) => {
+  return query("sort")
+    .optional()
+    .custom((value) => parseSortFields(value).every(([field]) => config.sortable.includes(field)))
+    .withMessage(`Sort fields must be one of: ${config.sortable.join(", ")}`);
+};
+
+/**
+ * Validation chain for `fields`, limited to the selectable fields of a resource
+ */
+const fieldsValidator = (config) => {
+  return query("fields")
+    .optional()
+    .custom((value) => splitList(value).every((field) => config.selectable.includes(field)))
+    .withMessage(`Fields must be one of: ${config.selectable.join(", ")}`);
+};
+
+/**
+ * Validation chains for the list query parameters of a resource
+ * @param {Object} config - Resource entry from config/resources.js
+ */
+const listValidators = (config) => [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query("after")
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.q && !req.query.sort) {
+        throw new Error("Relevance ranked search results only support page pagination; pass an explicit sort to use cursors");
+      }
+      let values;
+      try {
+        values = decodeCursor(value);
+      } catch (err) {
+        throw new Error("Invalid cursor");
+      }
+      if (values.length !== buildSort(req.query.sort || config.defaultSort).length) {
+        throw new Error("Invalid cursor for the requested sort");
+      }
+      return true;
+    }),
+  sortValidator(config),
+  fieldsValidator(config),
+  searchValidator()
+];
+
+/**
+ * Run a paginated, sorted and projected list query and set the `Link` header
+ * With `q=` the results are limited to text matches, carry a relevance `score` and
+ * `highlights`, and are ranked by relevance unless an explicit sort is given
+ * @param {Request} req - Express request (validated with listValidators)
+ * @param {Response} res - Express response
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {Object} options.filter - Base query filter
+ * @param {Object} options.config - Resource entry from config/resources.js
+ * @returns {Promise<Object>} Envelope fields: count, total, page, limit, nextCursor, data
+ */
+const paginate = async (req, res, { Model, filter, config }) => {
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const after = req.query.after;
+  const page = after ? null : (req.query.page || 1);
+  const search = req.query.q || null;
+  const relevance = Boolean(search && !req.query.sort);
+  const sortFields = relevance ? null : buildSort(req.query.sort || config.defaultSort);
+
+  const baseFilter = search
+    ? mergeFilters(filter, { $text: { $search: search } })
+    : filter;
+
+  const findFilter = after
+    ? { $and: [baseFilter, cursorFilter(sortFields, decodeCursor(after))] }
+    : baseFilter;
+
+  // Fetch one extra document to know whether another page exists
+  let listQuery = Model.find(findFilter)
+    .sort(relevance ? { score: { $meta: "textScore" }, _id: 1 } : Object.fromEntries(sortFields))
+    .limit(limit + 1);
+
+  if (page) {
+    listQuery = listQuery.skip((page - 1) * limit);
+  }
+
+  // Sort keys are always selected so the cursor can be built, then stripped below
+  const requested = req.query.fields
+    ? ["_id", ...splitList(req.query.fields), ...parsePopulate(req.query.populate), ...(search ? ["score"] : [])]
+    : null;
+
+  if (requested) {
+    const selected = new Set([...requested, ...(sortFields || []).map(([field]) => field)]);
+    selected.delete("score");
+    listQuery = listQuery.select([...selected].join(" "));
+  }
+
+  if (search) {
+    listQuery = listQuery.select({ score: { $meta: "textScore" } });
+  }
+
+  listQuery = applyPopulate(listQuery, req.query.populate);
+
+  const [docs, total] = await Promise.all([
+    listQuery,
+    Model.countDocuments(baseFilter)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const pageDocs = docs.slice(0, limit);
+  const nextCursor = hasMore && sortFields ? encodeCursor(pageDocs[pageDocs.length - 1], sortFields) : null;
+
+  let data = requested
+    ? pageDocs.map((doc) => {
+        const json = doc.toJSON();
+        return Object.fromEntries(requested.filter((field) => field in json).map((field) => [field, json[field]]));
+      })
+    : pageDocs;
+
+  if (search && config.searchable) {
+    const terms = searchTerms(search);
+    data = data.map((item, i) => ({
+      ...(typeof item.toJSON === "function" ? item.toJSON() : item),
+      highlights: buildHighlights(pageDocs[i], config.searchable, terms)
+    }));
+  }
+
+  // RFC 8288 Link header
+  const links = [];
+  if (hasMore) {
+    links.push([page ? buildUrl(req, { page: page + 1 }) : buildUrl(req, { after: nextCursor }), "next"]);
+  }
+  if (page && page > 1) {
+    links.push([buildUrl(req, { page: page - 1 }), "prev"]);
+  }
+  links.push([buildUrl(req, { page: 1, after: null }), "first"]);
+  if (page) {
+    links.push([buildUrl(req, { page: Math.max(1, Math.ceil(total / limit)) }), "last"]);
+  }
+  res.set("Link", links.map(([url, rel]) => `<${url}>; rel="${rel}"`).join(", "));
+
+  return {
+    count: data.length,
+    total,
+    page,
+    limit,
+    nextCursor,
+    data
+  };
+};
+
+/**
+ * Fetch one cursor page of documents outside a REST request (e.g. a socket sync snapshot)
+ * Cursors are interchangeable with the `after` cursors of the list endpoints using the same sort.
+ * @param {Object} options
+ * @param {Model} options.Model - Mongoose model
+ * @param {Object} options.filter - Base query filter
+ * @param {Object} options.sort - Sort as a MongoDB sort object (e.g. `{ createdAt: -1 }`)
+ * @param {string} [options.after] - Cursor of the previous page
+ * @param {number} [options.limit=MAX_LIMIT] - Page size
+ * @returns {Promise<Object>} { data, nextCursor } where nextCursor is null on the last page
+ * @throws {Error} 'Invalid cursor' when `after` is malformed or was built for another sort
+ */
+const cursorPage = async ({ Model, filter, sort, after, limit = MAX_LIMIT }) => {
+  const sortFields = withTieBreaker(Object.entries(sort));
+
+  let findFilter = filter;
+  if (after) {
+    let values;
+    try {
+      values = decodeCursor(after);
+    } catch (err) {
+      throw new Error("Invalid cursor");
+    }
+    if (values.length !== sortFields.length) {
+      throw new Error("Invalid cursor");
+    }
+    findFilter = { $and: [filter, cursorFilter(sortFields, values)] };
+  }
+
+  // Fetch one extra document to know whether another page exists
+  const docs = await Model.find(findFilter).sort(Object.fromEntries(sortFields)).limit(limit + 1);
+  const data = docs.slice(0, limit);
+
+  return {
+    data,
+    nextCursor: docs.length > limit ? encodeCursor(data[data.length - 1], sortFields) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  splitList,
+  buildSort,
+  sortValidator,
+  fieldsValidator,
+  listValidators,
+  paginate,
+  cursorPage
+};
@@ -0,0 +1,193 @@
+/**
+ * Structured Logger
+ * Writes one JSON object per line to stdout and, when LOG_FILE is set, to a
+ * size-rotated file. Entries logged while handling a request or socket event
+ * automatically carry its correlation fields (`requestId`, `socketId`, ...).
+ *
+ * Configuration:
+ *   LOG_LEVEL     - error | warn | info | debug | silent (default info)
+ *   LOG_FILE      - Optional file path, e.g. logs/app.log
+ *   LOG_MAX_SIZE  - Rotate the file after this many bytes (default 10 MB)
+ *   LOG_MAX_FILES - Rotated files to keep: app.log.1 ... app.log.N (default 5)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+// Keys whose values never reach the logs, matched case-insensitively at any depth
+const REDACTED_KEYS = [
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "password",
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "refreshtokens"
+];
+const MAX_DEPTH = 6;
+
+const level = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+const logFile = process.env.LOG_FILE || null;
+const maxSize = Number(process.env.LOG_MAX_SIZE) || 10 * 1024 * 1024;
+const maxFiles = Number(process.env.LOG_MAX_FILES) || 5;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Copy a value for logging: errors become plain objects and secrets are masked
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+  if (typeof value.toHexString === "function") {
+    return value.toHexString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.includes(key.toLowerCase()) ? "[REDACTED]" : redact(item, depth + 1)
+  ]));
+};
+
+// File output with size based rotation
+let fileStream = null;
+let fileSize = 0;
+
+const openFile = () => {
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  fileSize = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+  fileStream = fs.createWriteStream(logFile, { flags: "a" });
+  fileStream.on("error", (err) => {
+    process.stderr.write(`Log file error: ${err.message}\n`);
+    fileStream = null;
+  });
+};
+
+const rotate = () => {
+  fileStream.end();
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${logFile}.${i}`)) {
+      fs.renameSync(`${logFile}.${i}`, `${logFile}.${i + 1}`);
+    }
+  }
+  fs.renameSync(logFile, `${logFile}.1`);
+  if (fs.existsSync(`${logFile}.${maxFiles + 1}`)) {
+    fs.unlinkSync(`${logFile}.${maxFiles + 1}`);
+  }
+  openFile();
+};
+
+const writeFile = (line) => {
+  if (!fileStream) {
+    return;
+  }
+  const bytes = Buffer.byteLength(line);
+  if (fileSize > 0 && fileSize + bytes > maxSize) {
+    try {
+      rotate();
+    } catch (err) {
+      process.stderr.write(`Log rotation failed: ${err.message}\n`);
+    }
+  }
+  if (fileStream) {
+    fileStream.write(line);
+    fileSize += bytes;
+  }
+};
+
+if (logFile) {
+  openFile();
+}
+
+/**
+ * Write one entry
+ * @param {string} name - Level name
+ * @param {Object} bindings - Fields bound with child()
+ * @param {string} message - Human readable message
+ * @param {Object} [fields] - Extra structured fields
+ */
+const write = (name, bindings, message, fields = {}) => {
+  if (LEVELS[name] < level) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level: name,
+    msg: message,
+    ...context.getStore(),
+    ...bindings,
+    ...(fields instanceof Error ? { err: fields } : fields)
+  });
+
+  const line = `${JSON.stringify(entry)}\n`;
+  (LEVELS[name] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  writeFile(line);
+};
+
+/**
+ * Create a logger with fields added to every entry
+ */
+const createLogger = (bindings = {}) => ({
+  error: (message, fields) => write("error", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  child: (extra) => createLogger({ ...bindings, ...extra }),
+  isLevelEnabled: (name) => LEVELS[name] >= level
+});
+
+const logger = createLogger();
+
+/**
+ * Run a function with correlation fields attached to every entry logged inside it
+ */
+const withLogContext = (fields, fn) => {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+};
+
+/**
+ * Use a client supplied request ID if it looks sane, otherwise generate one
+ */
+const requestIdFor = (incoming) => {
+  if (typeof incoming === "string" && /^[\w.:-]{1,128}$/.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomUUID();
+};
+
+/**
+ * Flush and close the log file (on shutdown)
+ */
+const closeLogger = () => {
+  return new Promise((resolve) => {
+    if (!fileStream) {
+      return resolve();
+    }
+    fileStream.end(resolve);
+  });
+};
+
+module.exports = {
+  logger,
+  redact,
+  withLogContext,
+  requestIdFor,
+  closeLogger
+};
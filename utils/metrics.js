@@ -0,0 +1,163 @@
+/**
+ * Prometheus Metrics
+ * One registry for the whole process, scraped at `GET /metrics`:
+ * - HTTP request counts and latency by route and status (recorded by the logger middleware)
+ * - Connected sockets and received Socket.io events
+ * - Mongoose query/save timings and MongoDB connection pool state
+ * plus the default Node.js process metrics.
+ */
+
+const client = require("prom-client");
+const mongoose = require("mongoose");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method, route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const socketConnections = new client.Gauge({
+  name: "socketio_connected_sockets",
+  help: "Currently connected Socket.io clients",
+  registers: [register]
+});
+
+const socketEventsTotal = new client.Counter({
+  name: "socketio_events_received_total",
+  help: "Socket.io events received from clients by event name",
+  labelNames: ["event"],
+  registers: [register]
+});
+
+const mongoQueryDuration = new client.Histogram({
+  name: "mongodb_operation_duration_seconds",
+  help: "Mongoose operation latency by model and operation",
+  labelNames: ["model", "operation"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// Mongoose readyState: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+new client.Gauge({
+  name: "mongodb_connection_state",
+  help: "Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)",
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+const poolConnections = new client.Gauge({
+  name: "mongodb_pool_connections",
+  help: "Open connections in the MongoDB driver pool",
+  registers: [register]
+});
+
+const poolCheckedOut = new client.Gauge({
+  name: "mongodb_pool_checked_out_connections",
+  help: "Pool connections currently in use",
+  registers: [register]
+});
+
+const poolMaxSize = new client.Gauge({
+  name: "mongodb_pool_max_size",
+  help: "Configured maximum size of the MongoDB driver pool",
+  registers: [register]
+});
+
+/**
+ * Route label for a finished request: the matched route pattern (e.g. `/todos/:id`)
+ * rather than the raw URL, so IDs don't explode the label cardinality.
+ * Requests answered by mount-level middleware (e.g. a 401 from auth) get `/todos/*`.
+ */
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === "/" && req.baseUrl ? "" : req.route.path}`;
+  }
+  return req.baseUrl ? `${req.baseUrl}/*` : "unmatched";
+};
+
+/**
+ * Record a finished HTTP request
+ */
+const observeRequest = (req, res, durationSeconds) => {
+  const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+/**
+ * Track a connected socket and count the events it sends
+ * Events without a registered handler are counted as `unknown`
+ */
+const trackSocket = (socket) => {
+  socketConnections.inc();
+
+  socket.onAny((event) => {
+    socketEventsTotal.inc({ event: socket.listeners(event).length > 0 ? event : "unknown" });
+  });
+
+  socket.once("disconnect", () => {
+    socketConnections.dec();
+  });
+};
+
+/**
+ * Follow the driver's connection pool events
+ * @param {MongoClient} mongoClient - mongoose.connection.getClient()
+ */
+const trackMongoPool = (mongoClient) => {
+  mongoClient.on("connectionPoolCreated", (event) => {
+    poolMaxSize.set(event.options.maxPoolSize);
+  });
+  mongoClient.on("connectionCreated", () => poolConnections.inc());
+  mongoClient.on("connectionClosed", () => poolConnections.dec());
+  mongoClient.on("connectionCheckedOut", () => poolCheckedOut.inc());
+  mongoClient.on("connectionCheckedIn", () => poolCheckedOut.dec());
+  mongoClient.on("connectionPoolCleared", () => poolCheckedOut.set(0));
+};
+
+/**
+ * Express handler serving the metrics in the Prometheus text format
+ * When METRICS_TOKEN is set, scrapers must send it as a Bearer token
+ */
+const metricsHandler = async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid metrics token"
+    });
+  }
+
+  try {
+    res.set("Content-Type", register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+module.exports = {
+  register,
+  mongoQueryDuration,
+  observeRequest,
+  trackSocket,
+  trackMongoPool,
+  metricsHandler
+};
@@ -0,0 +1,48 @@
+/**
+ * Populate Helpers
+ * Parses the `?populate=owner,assignee` query parameter and applies it to Mongoose queries
+ */
+
+const { query } = require("express-validator");
+
+// Public user fields included when a user reference is populated
+const USER_FIELDS = "first_name last_name picture email";
+
+/**
+ * Split a comma separated populate value into paths
+ */
+const parsePopulate = (value) => {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Validation chain restricting `populate` to the given paths
+ */
+const populateValidator = (allowed) => {
+  return query("populate")
+    .optional()
+    .custom((value) => parsePopulate(value).every((path) => allowed.includes(path)))
+    .withMessage(`Populate must be one or more of: ${allowed.join(", ")}`);
+};
+
+/**
+ * Apply the requested populate paths to a Mongoose query
+ */
+const applyPopulate = (mongooseQuery, value) => {
+  return parsePopulate(value).reduce(
+    (q, path) => q.populate({ path, select: USER_FIELDS }),
+    mongooseQuery
+  );
+};
+
+module.exports = {
+  parsePopulate,
+  populateValidator,
+  applyPopulate
+};
@@ -0,0 +1,61 @@
+/**
+ * Fixed Window Rate Limiter
+ * In-memory counters shared by the REST middleware and the socket event budget.
+ * Counters live in this process only; with several instances each one
+ * enforces its own limit.
+ */
+
+/**
+ * Create a limiter allowing `max` hits per key in each window
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Hits allowed per window
+ * @returns {Object} `{ hit(key), reset(key) }`
+ */
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  // Drop expired windows so idle clients don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  }, windowMs);
+  sweeper.unref();
+
+  /**
+   * Count a hit for a key
+   * @returns {Object} { allowed, limit, remaining, resetMs } where resetMs is the time left in the window
+   */
+  const hit = (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+
+    return {
+      allowed: window.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - window.count),
+      resetMs: window.resetAt - now
+    };
+  };
+
+  const reset = (key) => {
+    windows.delete(key);
+  };
+
+  return { hit, reset };
+};
+
+module.exports = {
+  createRateLimiter
+};
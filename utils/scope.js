@@ -0,0 +1,43 @@
+/**
+ * Access Scopes
+ * Which documents a signed-in user may see and change. Admins see everything; other
+ * users see the todos and assignments they own or are assigned, and their own account.
+ * Shared by the REST routes and the socket handlers, so both enforce the same rules.
+ */
+
+const { mergeFilters } = require("./filterQuery");
+
+const ownedOrAssigned = (user) => ({ $or: [{ owner: user.id }, { assignee: user.id }] });
+
+// Resource -> filter of the documents a non-admin user may access
+const SCOPES = {
+  todos: ownedOrAssigned,
+  assignments: ownedOrAssigned,
+  users: (user) => ({ _id: user.id })
+};
+
+const isAdmin = (user) => user.role === "admin";
+
+/**
+ * Filter limiting a query to the documents a user may access (empty for admins)
+ * @param {string} resource - 'todos', 'assignments' or 'users'
+ * @param {Object} user - `req.user` / `socket.data.user` with `id` and `role`
+ */
+const scopeFilter = (resource, user) => (isAdmin(user) ? {} : SCOPES[resource](user));
+
+/**
+ * Filter for one document by id, within the user's scope
+ * Documents outside the scope simply are not found, so they answer 404 like missing ones
+ * @param {string} resource - 'todos', 'assignments' or 'users'
+ * @param {Object} user - Signed-in user
+ * @param {string} id - Document id
+ * @param {Object} [extra] - Further conditions (e.g. the If-Match version filter)
+ */
+const scopedById = (resource, user, id, extra = {}) => mergeFilters({ _id: id, ...extra }, scopeFilter(resource, user));
+
+module.exports = {
+  SCOPES,
+  isAdmin,
+  scopeFilter,
+  scopedById
+};
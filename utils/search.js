@@ -0,0 +1,101 @@
+/**
+ * Full-Text Search Helpers
+ * Shared `q=` validation and highlighted snippets for MongoDB `$text` search results
+ */
+
+const { query } = require("express-validator");
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Validation chain for the `q` search parameter
+ */
+const searchValidator = () => {
+  return query("q")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_QUERY_LENGTH })
+    .withMessage(`Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`);
+};
+
+/**
+ * Words to highlight for a search string
+ * Phrases are split into words and negated terms (`-word`) are dropped
+ */
+const searchTerms = (q) => {
+  const words = String(q)
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/["']/g, "").toLowerCase())
+    .filter(Boolean);
+  return [...new Set(words)];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+};
+
+/**
+ * Build a snippet around the first match with every match wrapped in <mark>
+ * Returns null when no term occurs in the text
+ */
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  // Match words starting with a term, so "document" also marks "documents"
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join("|")})\\w*`, "gi");
+  const first = pattern.exec(text);
+
+  if (!first) {
+    return null;
+  }
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  const marked = escapeHtml(excerpt).replace(
+    new RegExp(`\\b(${terms.map((term) => escapeRegExp(escapeHtml(term))).join("|")})\\w*`, "gi"),
+    (match) => `<mark>${match}</mark>`
+  );
+
+  return `${start > 0 ? "…" : ""}${marked}${end < text.length ? "…" : ""}`;
+};
+
+/**
+ * Highlighted snippets for the searchable fields of a document
+ * @param {Document|Object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Searchable fields from config/resources.js
+ * @param {string[]} terms - Result of searchTerms()
+ * @returns {Object} Field name -> snippet, only for fields that matched
+ */
+const buildHighlights = (doc, fields, terms) => {
+  const highlights = {};
+
+  fields.forEach((field) => {
+    const value = typeof doc.get === "function" ? doc.get(field) : doc[field];
+    const snippet = highlight(typeof value === "string" ? value : "", terms);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  searchValidator,
+  searchTerms,
+  highlight,
+  buildHighlights
+};
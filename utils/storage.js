@@ -0,0 +1,112 @@
+/**
+ * File Storage
+ * Keeps uploaded files behind a small driver interface so the backend can change
+ * without touching the routes. A driver stores opaque bytes under a flat,
+ * `/`-separated key (e.g. `todos/<todoId>/<attachmentId>`), the same model as an
+ * S3-compatible bucket:
+ *
+ *   save(key, buffer, { contentType }) - Store (or replace) a file
+ *   read(key)                          - Readable stream of a file; rejects with StorageNotFoundError
+ *   remove(key)                        - Delete a file; missing files are ignored
+ *
+ * The driver is chosen by STORAGE_DRIVER (see config/storage.js). To add a backend,
+ * implement those three methods and register a factory in DRIVERS.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config/storage");
+
+// Letters, digits, `.`, `_` and `-` in `/`-separated segments; no `..`
+const KEY_PATTERN = /^[\w-][\w.-]*(\/[\w-][\w.-]*)*$/;
+
+/**
+ * Error for a key with no stored file
+ */
+class StorageNotFoundError extends Error {
+  constructor(key) {
+    super(`No stored file for ${key}`);
+    this.name = "StorageNotFoundError";
+    this.key = key;
+  }
+}
+
+const checkKey = (key) => {
+  if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+/**
+ * Files on local disk, one file per key below `root`
+ */
+const createLocalStorage = ({ localDir: root }) => {
+  const pathFor = (key) => path.join(root, ...checkKey(key).split("/"));
+
+  return {
+    async save(key, buffer) {
+      const target = pathFor(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      // Write next to the target and rename, so readers never see a partial file
+      const temp = `${target}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(temp, buffer);
+        await fs.promises.rename(temp, target);
+      } catch (err) {
+        await fs.promises.rm(temp, { force: true });
+        throw err;
+      }
+    },
+
+    async read(key) {
+      let handle;
+      try {
+        handle = await fs.promises.open(pathFor(key), "r");
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          throw new StorageNotFoundError(key);
+        }
+        throw err;
+      }
+      return handle.createReadStream();
+    },
+
+    async remove(key) {
+      const target = pathFor(key);
+      await fs.promises.rm(target, { force: true });
+
+      // Drop the document's directory once its last file is gone
+      await fs.promises.rmdir(path.dirname(target)).catch(() => {});
+    }
+  };
+};
+
+const DRIVERS = {
+  local: createLocalStorage
+};
+
+/**
+ * Create the storage driver named in the configuration
+ * @param {Object} [options] - Storage configuration, defaults to config/storage.js
+ * @returns {Object} Driver with save, read and remove
+ * @throws {Error} For an unknown driver name
+ */
+const createStorage = (options = config) => {
+  const factory = DRIVERS[options.driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${options.driver}" (expected one of: ${Object.keys(DRIVERS).join(", ")})`);
+  }
+  return factory(options);
+};
+
+// Shared driver for the application; an unknown STORAGE_DRIVER fails at startup
+const storage = createStorage();
+
+module.exports = {
+  StorageNotFoundError,
+  createStorage,
+  storage
+};
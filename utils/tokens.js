@@ -0,0 +1,94 @@
+/**
+ * JWT Token Helpers
+ * Signs and verifies access and refresh tokens using JWT_SECRET
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { logger } = require("./logger");
+
+/**
+ * Resolve the signing secret once, at startup
+ * Production refuses to start without JWT_SECRET. Elsewhere a random secret is generated
+ * for this process, so tokens stop working on restart and are not shared between instances.
+ */
+const resolveSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+
+  logger.warn("JWT_SECRET is not set; using a random secret for this process");
+  return crypto.randomBytes(32).toString("hex");
+};
+
+const SECRET = resolveSecret();
+
+const getSecret = () => SECRET;
+
+// Refresh tokens kept per user; logging in again past this revokes the oldest session
+const MAX_REFRESH_TOKENS = 20;
+
+/**
+ * Sign a short-lived access token for a user
+ */
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, type: "access" },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || "15m" }
+  );
+};
+
+/**
+ * Sign a long-lived refresh token for a user
+ * A random jti makes every refresh token unique so it can be revoked individually
+ */
+const signRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: "refresh", jti: crypto.randomUUID() },
+    getSecret(),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d" }
+  );
+};
+
+/**
+ * Verify a token and check its type
+ * Throws a JsonWebTokenError if the token is invalid, expired or of the wrong type
+ */
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, getSecret());
+
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+  }
+
+  return payload;
+};
+
+/**
+ * Hash a refresh token before storing it, so a database leak does not leak sessions
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Stored form of a refresh token: its hash and when it expires
+ * @returns {Object} { hash, expiresAt }
+ */
+const refreshTokenEntry = (token) => {
+  return { hash: hashToken(token), expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+module.exports = {
+  MAX_REFRESH_TOKENS,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  hashToken,
+  refreshTokenEntry
+};
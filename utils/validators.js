@@ -0,0 +1,220 @@
+/**
+ * Shared Validation Chains
+ * Reusable express-validator rules used by the route modules, the import endpoint
+ * and the socket handlers, so every way of writing a document is checked the same way
+ */
+
+const { body, validationResult } = require("express-validator");
+const users = require("../models/users");
+const { isPictureUrl } = require("./avatars");
+
+/**
+ * Validate an optional body field referencing an existing user
+ * `null` is allowed so a reference can be cleared
+ */
+const userRefValidator = (field) => {
+  return body(field)
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage(`${field} must be a valid user ID`)
+    .bail()
+    .custom(async (id) => {
+      const exists = await users.exists({ _id: id });
+      if (!exists) {
+        throw new Error(`${field} does not reference an existing user`);
+      }
+      return true;
+    });
+};
+
+/**
+ * Validate an optional `picture`: an external https URL, or the URL of an avatar
+ * uploaded with POST /users/:id/avatar
+ */
+const pictureValidator = () => {
+  return body("picture")
+    .optional()
+    .trim()
+    .custom(isPictureUrl)
+    .withMessage("Picture must be a well-formed https URL");
+};
+
+// Validation for new todos, shared by POST /todos, the import endpoint and socket `add`
+const createTodoValidators = [
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ min: 3, max: 200 })
+    .withMessage("Title must be between 3 and 200 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description cannot exceed 1000 characters"),
+  body("complete")
+    .optional()
+    .isBoolean()
+    .withMessage("Complete must be a boolean value"),
+  body("priority")
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage("Priority must be low, medium, or high"),
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date must be a valid date"),
+  userRefValidator("assignee")
+];
+
+// Validation for partial todo updates, shared by PATCH /todos/:todoId and socket `update`
+const updateTodoValidators = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("Title must be between 3 and 200 characters"),
+  body("complete")
+    .optional()
+    .isBoolean()
+    .withMessage("Complete must be a boolean value"),
+  body("priority")
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage("Priority must be low, medium, or high"),
+  userRefValidator("assignee")
+];
+
+// Validation for new assignments, shared by POST /assignments, the import endpoint and socket `add`
+const createAssignmentValidators = [
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Title must be between 5 and 200 characters"),
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Content is required")
+    .isLength({ min: 10 })
+    .withMessage("Content must be at least 10 characters long"),
+  body("dueDate")
+    .notEmpty()
+    .withMessage("Due date is required")
+    .isISO8601()
+    .withMessage("Due date must be a valid date"),
+  userRefValidator("assignee")
+];
+
+// Status, submission and grade only change through the workflow actions (utils/assignmentWorkflow.js)
+const assignmentWorkflowValidator = body(["status", "submittedDate", "grade"])
+  .not()
+  .exists()
+  .withMessage("Use POST /assignments/:id/start, /submit, /cancel or /grade to change status, submission or grade");
+
+// Validation for partial assignment updates, shared by PATCH /assignments/:assignmentId and socket `update`
+const updateAssignmentValidators = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Title must be between 5 and 200 characters"),
+  body("content")
+    .optional()
+    .trim()
+    .isLength({ min: 10 })
+    .withMessage("Content must be at least 10 characters long"),
+  assignmentWorkflowValidator,
+  userRefValidator("assignee")
+];
+
+// Validation for POST /assignments/:id/grade
+const gradeAssignmentValidators = [
+  body("grade")
+    .exists({ values: "null" })
+    .withMessage("Grade is required")
+    .bail()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Grade must be between 0 and 100")
+    .toFloat()
+];
+
+// Validation for new users, shared by POST /users, the import endpoint and socket `add`
+const createUserValidators = [
+  body("first_name")
+    .trim()
+    .notEmpty()
+    .withMessage("First name is required")
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+  body("last_name")
+    .trim()
+    .notEmpty()
+    .withMessage("Last name is required")
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+  pictureValidator(),
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Must be a valid email address")
+    .normalizeEmail()
+];
+
+// Validation for partial user updates, shared by PATCH /users/:userId and socket `update`
+const updateUserValidators = [
+  body("first_name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+  body("last_name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+  pictureValidator(),
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Must be a valid email address")
+    .normalizeEmail()
+];
+
+/**
+ * Run validation chains against a plain object (an import row or socket event data)
+ * @param {Object} values - Data to validate, used as the request body
+ * @param {ValidationChain[]} chains - express-validator chains
+ * @returns {Promise<Object>} { values, errors } with sanitized values and `{ field, message, value }` errors
+ */
+const runValidators = async (values, chains) => {
+  const req = { body: { ...values } };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map((err) => ({
+    field: err.path,
+    message: err.msg,
+    value: err.value
+  }));
+
+  return { values: req.body, errors };
+};
+
+module.exports = {
+  userRefValidator,
+  pictureValidator,
+  createTodoValidators,
+  updateTodoValidators,
+  createAssignmentValidators,
+  updateAssignmentValidators,
+  assignmentWorkflowValidator,
+  gradeAssignmentValidators,
+  createUserValidators,
+  updateUserValidators,
+  runValidators
+};